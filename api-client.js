@@ -79,6 +79,20 @@ class APIClient {
     return data;
   }
 
+  // Second login step when login() answers { twoFactorRequired: true }
+  static async loginTwoFactor({ code, recoveryCode }) {
+    const data = await this.request('/auth/login/2fa', {
+      method: 'POST',
+      body: JSON.stringify({ code, recoveryCode })
+    });
+
+    if (data.user) {
+      localStorage.setItem('user', JSON.stringify(data.user));
+    }
+
+    return data;
+  }
+
   static async signup(email, password, name, confirmPassword) {
     const data = await this.request('/auth/signup', {
       method: 'POST',
@@ -106,6 +120,79 @@ class APIClient {
     }
   }
 
+  static async forgotPassword(email) {
+    return this.request('/auth/forgot', {
+      method: 'POST',
+      body: JSON.stringify({ email })
+    });
+  }
+
+  static async resetPassword(token, password, confirmPassword) {
+    const data = await this.request('/auth/reset', {
+      method: 'POST',
+      body: JSON.stringify({ token, password, confirmPassword })
+    });
+
+    // A reset signs the account out everywhere
+    this.clearToken();
+    localStorage.removeItem('user');
+    return data;
+  }
+
+  static async verifyEmail(token) {
+    return this.request('/auth/verify-email', {
+      method: 'POST',
+      body: JSON.stringify({ token })
+    });
+  }
+
+  static async resendVerification(email) {
+    return this.request('/auth/verify-email/resend', {
+      method: 'POST',
+      body: JSON.stringify({ email })
+    });
+  }
+
+  static async unlockAccount(token) {
+    return this.request('/auth/unlock', {
+      method: 'POST',
+      body: JSON.stringify({ token })
+    });
+  }
+
+  // Account self-service
+  static async updateProfile(fields) {
+    return this.request('/auth/me', {
+      method: 'PATCH',
+      body: JSON.stringify(fields)
+    });
+  }
+
+  static async confirmEmailChange(token) {
+    return this.request('/auth/email/confirm', {
+      method: 'POST',
+      body: JSON.stringify({ token })
+    });
+  }
+
+  static async changePassword(currentPassword, password, confirmPassword) {
+    return this.request('/auth/password', {
+      method: 'POST',
+      body: JSON.stringify({ currentPassword, password, confirmPassword })
+    });
+  }
+
+  static async deleteAccount(password, { code, recoveryCode } = {}) {
+    const data = await this.request('/auth/me', {
+      method: 'DELETE',
+      body: JSON.stringify({ password, code, recoveryCode })
+    });
+
+    this.clearToken();
+    localStorage.removeItem('user');
+    return data;
+  }
+
   static async verifyToken() {
     return this.request('/auth/verify', {
       method: 'POST'
@@ -1,38 +1,54 @@
-// Simulated in-memory database (replace with real database like MongoDB/PostgreSQL)
-const users = {};
-const payments = [];
-
-module.exports = {
-  users,
-  payments,
-  
-  // User operations
-  findUserByEmail(email) {
-    return users[email];
-  },
-  
-  createUser(email, hashedPassword, name) {
-    const user = {
-      id: Date.now().toString(),
-      email,
-      password: hashedPassword,
-      name,
-      createdAt: new Date()
-    };
-    users[email] = user;
-    return user;
-  },
-  
-  // Payment operations
-  savePayment(paymentData) {
-    payments.push({
-      id: Date.now().toString(),
-      ...paymentData,
-      createdAt: new Date()
-    });
-  },
-  
-  getPaymentsByUser(userId) {
-    return payments.filter(p => p.userId === userId);
+/**
+ * Database Configuration
+ *
+ * Resolves which storage driver backs the `db` models from DATABASE_URL.
+ *
+ * SUPPORTED URLS:
+ * - memory://                  In-process Maps (tests, throwaway dev runs)
+ * - file://./data/berlin-benz.json  JSON file on disk, written atomically
+ *
+ * Relative file paths resolve against the backend directory, so the
+ * server finds the same data no matter where it is started from.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BACKEND_DIR = path.join(__dirname, '..');
+
+const DEFAULT_FILE_URL = 'file://./data/berlin-benz.json';
+
+/**
+ * Parse DATABASE_URL into a driver config
+ * @param {string} [url] - Defaults to process.env.DATABASE_URL
+ * @returns {{ driver: 'memory' } | { driver: 'file', path: string }}
+ */
+export function getDatabaseConfig(url = process.env.DATABASE_URL) {
+  if (!url) {
+    url = process.env.NODE_ENV === 'test' ? 'memory://' : DEFAULT_FILE_URL;
+  }
+
+  const [scheme, location = ''] = url.split('://');
+
+  switch (scheme) {
+    case 'memory':
+      return { driver: 'memory' };
+
+    case 'file':
+      if (!location) {
+        throw new Error('DATABASE_URL file:// must include a path');
+      }
+      return {
+        driver: 'file',
+        path: path.resolve(BACKEND_DIR, location)
+      };
+
+    default:
+      throw new Error(
+        `Unsupported DATABASE_URL scheme "${scheme}" (expected memory:// or file://)`
+      );
   }
-};
+}
+
+export default getDatabaseConfig;
@@ -18,7 +18,14 @@ export const SUBSCRIPTION_PLANS = {
       '10 articles per month',
       'Access to text articles',
       'Email support'
-    ]
+    ],
+    entitlements: {
+      article_types: ['text'],
+      download: false, // View-only
+      batch_download: false,
+      api_access: false,
+      early_access: false
+    }
   },
   
   professional: {
@@ -34,7 +41,14 @@ export const SUBSCRIPTION_PLANS = {
       'Access to all article types (text, image, PDF)',
       'Priority email support',
       'Downloadable PDFs'
-    ]
+    ],
+    entitlements: {
+      article_types: ['text', 'image', 'pdf'],
+      download: true,
+      batch_download: false,
+      api_access: false,
+      early_access: false
+    }
   },
   
   unlimited: {
@@ -52,10 +66,63 @@ export const SUBSCRIPTION_PLANS = {
       'Early access to new articles',
       'Batch downloads',
       'API access'
-    ]
+    ],
+    entitlements: {
+      article_types: ['text', 'image', 'pdf'],
+      download: true,
+      batch_download: true,
+      api_access: true,
+      early_access: true
+    }
   }
 };
 
+/**
+ * Content tiers, lowest to highest
+ * Articles declare the minimum tier they need (see config/articles.json)
+ */
+export const TIERS = ['free', 'starter', 'professional', 'unlimited'];
+
+/**
+ * Check whether a plan unlocks content of a given tier
+ * @param {string|null} planId - Active plan, or null for no subscription
+ * @param {string} tier - Article's required tier
+ * @returns {boolean}
+ */
+export function planMeetsTier(planId, tier) {
+  const required = TIERS.indexOf(tier);
+  if (required === -1) return false;
+  if (required === 0) return true;
+
+  const plan = getPlan(planId);
+  return plan ? TIERS.indexOf(plan.id) >= required : false;
+}
+
+/**
+ * Check whether a plan grants an entitlement
+ *
+ * ENTITLEMENTS:
+ * - 'article_type'   (value: 'text' | 'image' | 'pdf')
+ * - 'download'       Save files (otherwise view-only)
+ * - 'batch_download' Multi-article ZIP downloads
+ * - 'api_access'     Personal API keys
+ * - 'early_access'   See scheduled articles from their early_access_at
+ *
+ * @param {string} planId
+ * @param {string} entitlement
+ * @param {string} [value] - Required for 'article_type'
+ * @returns {boolean}
+ */
+export function hasEntitlement(planId, entitlement, value) {
+  const plan = getPlan(planId);
+  if (!plan) return false;
+
+  if (entitlement === 'article_type') {
+    return plan.entitlements.article_types.includes(value);
+  }
+  return plan.entitlements[entitlement] === true;
+}
+
 /**
  * Validate that a plan exists and return it
  * @param {string} planId - The plan ID requested
@@ -78,6 +145,7 @@ export function getPublicPlans() {
     price: plan.price,
     currency: plan.currency,
     features: plan.features,
+    entitlements: plan.entitlements,
     duration_days: plan.duration_days
   }));
 }
@@ -0,0 +1,37 @@
+/**
+ * Staff Roles Configuration
+ *
+ * Every account has exactly one role (users.role). Roles are not a
+ * hierarchy: routes list the roles they accept with requireRole().
+ *
+ * - user: customers (default for every signup)
+ * - support: read-only access to accounts, for helping customers
+ * - editor: manages the article catalog
+ * - admin: everything editors can do, plus role management
+ *
+ * SECURITY: Roles are read from the database on every request, never
+ * from the session, so a demotion takes effect immediately.
+ */
+
+export const ROLES = ['user', 'support', 'editor', 'admin'];
+
+export const DEFAULT_ROLE = 'user';
+
+/**
+ * @param {string} role
+ * @returns {boolean}
+ */
+export function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+/**
+ * Role of a user record (accounts created before roles existed are users)
+ * @param {Object} user
+ * @returns {string}
+ */
+export function getUserRole(user) {
+  return isValidRole(user?.role) ? user.role : DEFAULT_ROLE;
+}
+
+export default ROLES;
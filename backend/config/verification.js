@@ -0,0 +1,51 @@
+/**
+ * Email Verification Policy
+ *
+ * New accounts start unverified. UNVERIFIED_USERS_CAN lists what an
+ * unverified account may still do (comma-separated):
+ * - login: sign in (otherwise signup doesn't start a session either)
+ * - checkout: start a subscription checkout
+ * - articles: open subscriber articles (lists, downloads, links, feeds)
+ *
+ * Default: "login" - people can sign in and verify later, but can't pay
+ * for or read premium content with an address they haven't proven.
+ *
+ * SECURITY: Enforced server-side (requireVerifiedEmail and the login
+ * route); the frontend only mirrors it.
+ */
+
+export const VERIFICATION_ACTIONS = ['login', 'checkout', 'articles'];
+
+const DEFAULT_ALLOWED = 'login';
+
+/**
+ * Actions unverified accounts may perform
+ * @returns {Set<string>}
+ */
+export function getUnverifiedAllowances() {
+  const configured = process.env.UNVERIFIED_USERS_CAN ?? DEFAULT_ALLOWED;
+  return new Set(
+    configured
+      .split(',')
+      .map(action => action.trim())
+      .filter(action => VERIFICATION_ACTIONS.includes(action))
+  );
+}
+
+/**
+ * @param {string} action - One of VERIFICATION_ACTIONS
+ * @returns {boolean}
+ */
+export function unverifiedUsersCan(action) {
+  return getUnverifiedAllowances().has(action);
+}
+
+/**
+ * @param {Object} user
+ * @returns {boolean}
+ */
+export function isEmailVerified(user) {
+  return Boolean(user?.email_verified_at);
+}
+
+export default unverifiedUsersCan;
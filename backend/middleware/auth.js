@@ -5,19 +5,149 @@
  * - Tokens never exposed to frontend JS
  * - Cookies auto-sent by browser, can't be stolen via XSS
  * - Session validated server-side on every request
+ *
+ * API KEYS (scripts/integrations, "API access" plan feature):
+ * - `Authorization: Bearer <key>` accepted by requireAuth
+ * - Deny by default: only routes that declare allowApiKey(scope)
+ *   accept keys, and the key must carry that scope
+ * - Per-key rate limit, plan re-checked on every request
+ *
+ * STAFF ROLES: requireRole(...roles), checked against the stored role
  */
 
-export const requireAuth = (req, res, next) => {
-  if (!req.session || !req.session.userId) {
-    return res.status(401).json({
-      error: 'Unauthorized',
-      message: 'Please log in to continue'
+import { db } from '../models/user.js';
+import { hashApiKey } from '../models/apiKey.js';
+import { hasEntitlement } from '../config/plans.js';
+import { getUserRole } from '../config/roles.js';
+import { isEmailVerified, unverifiedUsersCan } from '../config/verification.js';
+
+const KEY_RATE_WINDOW_MS = 60 * 1000;
+const KEY_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// keyId -> { windowStart, count } (fixed window per key)
+const keyRateWindows = new Map();
+
+function bearerToken(req) {
+  const header = req.get('authorization');
+  if (!header) return null;
+
+  const [scheme, token] = header.split(' ');
+  return scheme?.toLowerCase() === 'bearer' && token ? token.trim() : null;
+}
+
+function consumeKeyRateLimit(key) {
+  const now = Date.now();
+  let window = keyRateWindows.get(key.id);
+  if (!window || now - window.windowStart >= KEY_RATE_WINDOW_MS) {
+    window = { windowStart: now, count: 0 };
+    keyRateWindows.set(key.id, window);
+  }
+
+  window.count += 1;
+  return {
+    allowed: window.count <= key.rate_limit,
+    remaining: Math.max(0, key.rate_limit - window.count),
+    resetTime: new Date(window.windowStart + KEY_RATE_WINDOW_MS)
+  };
+}
+
+/**
+ * Declare that a route accepts API keys with the given scope
+ * Must come BEFORE requireAuth
+ *
+ * Usage: router.get('/x', allowApiKey('articles:read'), requireAuth, handler)
+ */
+export const allowApiKey = (scope) => (req, res, next) => {
+  req.apiKeyScope = scope;
+  next();
+};
+
+async function authenticateApiKey(req, res, next, token) {
+  const unauthorized = () => res.status(401).json({
+    error: 'Unauthorized',
+    message: 'Invalid API key'
+  });
+
+  const key = await db.apiKeys.findByHash(hashApiKey(token));
+  if (!key || key.revoked_at) {
+    if (key) {
+      await db.audit.log(key.user_id, 'api_key_rejected', {
+        keyId: key.id,
+        reason: 'revoked',
+        ip: req.ip
+      });
+    }
+    return unauthorized();
+  }
+
+  // SECURITY: Deny by default; account management never accepts keys
+  if (!req.apiKeyScope || !key.scopes.includes(req.apiKeyScope)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: req.apiKeyScope
+        ? `API key is missing the ${req.apiKeyScope} scope`
+        : 'API keys cannot access this endpoint'
     });
   }
 
-  req.userId = req.session.userId;
-  req.userEmail = req.session.userEmail;
+  const limit = consumeKeyRateLimit(key);
+  res.setHeader('RateLimit-Limit', key.rate_limit);
+  res.setHeader('RateLimit-Remaining', limit.remaining);
+  if (!limit.allowed) {
+    req.rateLimit = { resetTime: limit.resetTime };
+    return rateLimitExceeded(req, res);
+  }
+
+  const user = await db.users.findById(key.user_id);
+  if (!user) return unauthorized();
+
+  // SECURITY: Keys stop working as soon as the plan loses API access
+  const subscriptions = await db.subscriptions.findActiveByUserId(user.id);
+  if (!subscriptions.some(sub => hasEntitlement(sub.plan_id, 'api_access'))) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Your plan does not include API access',
+      entitlement: 'api_access'
+    });
+  }
+
+  // Throttled bookkeeping: last-used timestamp and audit trail per key
+  if (!key.last_used_at ||
+      Date.now() - new Date(key.last_used_at) >= KEY_TOUCH_INTERVAL_MS) {
+    await db.apiKeys.touch(key.id);
+    await db.audit.log(user.id, 'api_key_used', {
+      keyId: key.id,
+      path: req.originalUrl,
+      ip: req.ip
+    });
+  }
+
+  req.userId = user.id;
+  req.userEmail = user.email;
+  req.apiKey = { id: key.id, scopes: key.scopes };
   next();
+}
+
+export const requireAuth = async (req, res, next) => {
+  try {
+    const token = bearerToken(req);
+    if (token) {
+      return await authenticateApiKey(req, res, next, token);
+    }
+
+    if (!req.session || !req.session.userId) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Please log in to continue'
+      });
+    }
+
+    req.userId = req.session.userId;
+    req.userEmail = req.session.userEmail;
+    next();
+  } catch (error) {
+    next(error);
+  }
 };
 
 /**
@@ -36,8 +166,6 @@ export const optionalAuth = (req, res, next) => {
  * Always check against database, never trust client
  */
 export const requireSubscription = async (req, res, next) => {
-  const { db } = await import('../models/user.js');
-  
   if (!req.userId) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
@@ -55,6 +183,93 @@ export const requireSubscription = async (req, res, next) => {
   next();
 };
 
+/**
+ * SECURITY: Verify the active plan grants an entitlement
+ * Must run after requireSubscription
+ *
+ * @param {string} entitlement - See hasEntitlement() in config/plans.js
+ * @param {Function} [getValue] - (req) => value, e.g. the article type
+ *
+ * Usage:
+ *   requireEntitlement('download')
+ *   requireEntitlement('article_type', req => req.article.type)
+ */
+export const requireEntitlement = (entitlement, getValue) => (req, res, next) => {
+  if (!req.subscription) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Active subscription required'
+    });
+  }
+
+  const value = getValue ? getValue(req) : undefined;
+  if (!hasEntitlement(req.subscription.plan_id, entitlement, value)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Your plan does not include this feature',
+      entitlement,
+      ...(value !== undefined && { value })
+    });
+  }
+
+  next();
+};
+
+/**
+ * SECURITY: Enforce the email verification policy for an action
+ * (see config/verification.js). Checked against the stored account,
+ * so it also covers API keys and signed links.
+ * Must run after requireAuth (or anything that sets req.userId)
+ *
+ * Usage: requireVerifiedEmail('checkout')
+ */
+export const requireVerifiedEmail = (action) => async (req, res, next) => {
+  try {
+    if (unverifiedUsersCan(action)) return next();
+
+    const user = await db.users.findById(req.userId);
+    if (!isEmailVerified(user)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Please verify your email address to continue',
+        emailVerificationRequired: true
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * SECURITY: Staff routes, restricted to the given roles (config/roles.js)
+ * The role is loaded from the database on every request, so role
+ * changes apply immediately; API keys never carry staff access.
+ * Must run after requireAuth. Sets req.userRole.
+ *
+ * Usage: requireRole('editor', 'admin')
+ */
+export const requireRole = (...roles) => async (req, res, next) => {
+  try {
+    const user = req.apiKey ? null : await db.users.findById(req.userId);
+    const role = user ? getUserRole(user) : null;
+
+    if (!role || !roles.includes(role)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Your account does not have access to this area',
+        requiredRoles: roles
+      });
+    }
+
+    req.userRole = role;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Rate limiting check (applied at route level)
  */
@@ -0,0 +1,103 @@
+/**
+ * Account Self-Service
+ *
+ * EMAIL CHANGE: PATCH /api/auth/me with a new address emails a link to
+ * login.html?email-change=<token>; the address only changes once the
+ * page posts the token to POST /api/auth/email/confirm.
+ *
+ * DELETION: deleteAccount() cancels subscriptions, keeps subscriptions
+ * and payments for accounting without the account (or Stripe) link, and
+ * removes everything else tied to the user.
+ *
+ * SECURITY:
+ * - Email change tokens are random, stored as SHA-256 hashes, single
+ *   use and expire after EMAIL_CHANGE_TTL_MS
+ * - The new address must be proven before anything is sent there again
+ */
+
+import crypto from 'crypto';
+import { db } from './user.js';
+import { sessionStore } from './session.js';
+import { clearWatermarkCache } from './watermark.js';
+import { normalizeEmail } from './loginThrottle.js';
+
+export const EMAIL_CHANGE_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @returns {{ token: string, hash: string, expiresAt: Date }}
+ */
+export function generateEmailChangeToken() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return {
+    token,
+    hash: hashEmailChangeToken(token),
+    expiresAt: new Date(Date.now() + EMAIL_CHANGE_TTL_MS)
+  };
+}
+
+export function hashEmailChangeToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Link to the confirmation page on the frontend
+ * @param {string} token
+ * @returns {string}
+ */
+export function emailChangeLink(token) {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${base}/login.html?email-change=${encodeURIComponent(token)}`;
+}
+
+/**
+ * The address a user asked to switch to, while the link is still valid
+ * @param {Object} user
+ * @returns {string|null}
+ */
+export function getPendingEmail(user) {
+  if (!user?.pending_email || !user.email_change_expires_at) return null;
+  return new Date(user.email_change_expires_at) > new Date() ? user.pending_email : null;
+}
+
+/**
+ * Delete an account and its personal data
+ *
+ * Kept: subscriptions (user_id and Stripe id cleared) and payments
+ * (user_id cleared), for accounting; article revisions (author id only). The caller logs the deletion and signs the
+ * browser out.
+ *
+ * @param {Object} user
+ * @returns {Promise<Object>} Counts of what was cancelled/removed
+ */
+export async function deleteAccount(user) {
+  const subscriptions = (await db.subscriptions.findByUserId(user.id))
+    .filter(subscription => subscription.status === 'active');
+  for (const subscription of subscriptions) {
+    await db.subscriptions.cancel(subscription.id);
+  }
+
+  const summary = {
+    subscriptionsCancelled: subscriptions.length,
+    subscriptionsAnonymized: await db.subscriptions.anonymizeForUser(user.id),
+    paymentsAnonymized: await db.payments.anonymizeForUser(user.id),
+    sessionsRevoked: await sessionStore.destroyByUserId(user.id)
+  };
+
+  await clearWatermarkCache(user.id);
+  await db.watermarks.removeByUserId(user.id);
+  await db.apiKeys.removeByUserId(user.id);
+  await db.feedTokens.removeByUserId(user.id);
+  await db.bookmarks.removeByUserId(user.id);
+  await db.progress.removeByUserId(user.id);
+  await db.usage.removeByUserId(user.id);
+  await db.passwordResets.removeByUserId(user.id);
+  await db.audit.removeByUserId(user.id);
+
+  const attempts = await db.loginAttempts.findByEmail(normalizeEmail(user.email));
+  if (attempts) await db.loginAttempts.remove(attempts.id);
+
+  await db.users.remove(user.id);
+  return summary;
+}
+
+export default deleteAccount;
@@ -0,0 +1,65 @@
+/**
+ * Personal API Keys
+ *
+ * For the "API access" plan feature: lets scripts call /api/articles/*
+ * with `Authorization: Bearer <key>` instead of a session cookie.
+ *
+ * SECURITY:
+ * - Keys are 256-bit random secrets, shown to the user exactly once
+ * - Only a SHA-256 hash is stored (keys are high-entropy, so a fast
+ *   hash is safe and keeps per-request lookup cheap)
+ * - `prefix` (first characters) is kept for display/identification
+ */
+
+import crypto from 'crypto';
+
+export const API_KEY_PREFIX = 'bbk_';
+
+export const API_KEY_SCOPES = {
+  'articles:read': 'List articles, check access and usage',
+  'articles:download': 'Download articles, mint links, batch downloads'
+};
+
+export const DEFAULT_KEY_RATE_LIMIT = 60; // Requests per minute, per key
+export const MAX_ACTIVE_KEYS = 10;
+
+/**
+ * @returns {{ key: string, prefix: string, hash: string }}
+ */
+export function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, prefix: key.slice(0, 12), hash: hashApiKey(key) };
+}
+
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Validate requested scopes
+ * @param {*} scopes
+ * @returns {string[]|null} Deduplicated scopes, or null if invalid
+ */
+export function normalizeScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) return null;
+  if (!scopes.every(scope => Object.hasOwn(API_KEY_SCOPES, scope))) return null;
+  return [...new Set(scopes)];
+}
+
+/**
+ * Public view of a key record (never includes the hash)
+ */
+export function toPublicApiKey(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    prefix: record.prefix,
+    scopes: record.scopes,
+    rateLimit: record.rate_limit,
+    createdAt: record.created_at,
+    lastUsedAt: record.last_used_at || null,
+    revokedAt: record.revoked_at || null
+  };
+}
+
+export default generateApiKey;
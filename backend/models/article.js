@@ -0,0 +1,464 @@
+/**
+ * Article Catalog
+ *
+ * Single source of truth for every article the site offers. Routes,
+ * the download whitelist and the frontend list are all derived from
+ * the manifest.
+ *
+ * STORAGE:
+ * - config/articles.json ships the initial manifest
+ * - Once the admin API changes the catalog, the manifest lives at
+ *   CATALOG_PATH (default data/catalog.json) and is loaded from there
+ * - updateCatalog() validates the whole new manifest, writes it
+ *   atomically (tmp file + rename) and only then swaps it in
+ *
+ * MANIFEST ENTRY:
+ * { id, slug, type, title, summary, file? | upload?, tier, category?, tags?,
+ *   published_at, publish_at?, early_access_at?, preview_pages?, revision? }
+ * - type: 'text' | 'image' | 'pdf'
+ * - category / tags: lowercase slugs (e.g. "health", ["wellness", "guide"])
+ * - file: path relative to the site root (e.g. "pdfs/guide.pdf")
+ * - upload: content-addressed name in CONTENT_STORE_DIR ("<sha256>.pdf"),
+ *   set by the admin API (see models/contentStore.js)
+ * - tier: minimum tier required (see TIERS in config/plans.js)
+ * - published_at: ISO date the article was added; its date in lists and
+ *   feeds unless it is scheduled
+ * - publish_at: ISO date of general release (omit = already published)
+ * - early_access_at: ISO date (<= publish_at) from which plans with the
+ *   'early_access' entitlement can see the article
+ * - preview_pages: pages of a premium PDF visitors may preview
+ *   (default 2, 0 disables; never more than half the document)
+ * - revision: id of the current revision, set by the admin API (see
+ *   models/revision.js); absent until the article is first edited
+ *
+ * Computed on load: size (bytes), sizeLabel, fileName (public download name)
+ *
+ * SECURITY:
+ * - Files must live under an allowed content directory or the store
+ * - Downloads are looked up by fileName, never by client-supplied paths
+ * - Unreleased articles must be filtered with isArticleReleased() by
+ *   every list, search and download path
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { TIERS, hasEntitlement } from '../config/plans.js';
+import { isPreviewUnavailable } from './preview.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SEED_MANIFEST_PATH = path.join(__dirname, '../config/articles.json');
+const CATALOG_PATH = process.env.CATALOG_PATH
+  ? path.resolve(process.env.CATALOG_PATH)
+  : path.join(__dirname, '../data/catalog.json');
+
+export const CONTENT_ROOT = path.join(__dirname, '../..');
+const CONTENT_DIRS = ['pdfs', 'images'].map(dir => path.join(CONTENT_ROOT, dir));
+
+// Uploaded files, named by content hash (keep outside the web root)
+export const CONTENT_STORE_DIR = process.env.CONTENT_STORE_DIR
+  ? path.resolve(process.env.CONTENT_STORE_DIR)
+  : path.join(__dirname, '../data/content');
+const UPLOAD_PATTERN = /^[a-f0-9]{64}\.(pdf|png|jpg|gif|webp)$/;
+
+export const ARTICLE_TYPES = ['text', 'image', 'pdf'];
+
+const DEFAULT_PREVIEW_PAGES = 2;
+const LABEL_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+// Slugs end up in URLs, DOM ids and download file names
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+const MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+/**
+ * Invalid manifest entry (bad input to the admin API, or a broken
+ * manifest at startup)
+ */
+export class CatalogValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CatalogValidationError';
+  }
+}
+
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
+
+function parseDate(id, field, value) {
+  if (value === undefined || value === null) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new CatalogValidationError(`Article ${id} has invalid ${field} "${value}"`);
+  }
+  return date;
+}
+
+/**
+ * Locate the file of a manifest entry (site file or upload)
+ * Also used for files of older revisions
+ * @param {Object} entry - Raw manifest entry with `file` or `upload`
+ * @returns {{ filePath: string, fileName: string, mimeType: string }}
+ * @throws {CatalogValidationError} Path outside the content directories
+ */
+export function resolveEntryFile({ id, slug, file, upload }) {
+  let filePath;
+  if (upload) {
+    if (!UPLOAD_PATTERN.test(upload)) {
+      throw new CatalogValidationError(`Article ${id} has invalid upload "${upload}"`);
+    }
+    filePath = path.join(CONTENT_STORE_DIR, upload);
+  } else {
+    filePath = path.resolve(CONTENT_ROOT, file);
+    if (!CONTENT_DIRS.some(dir => filePath.startsWith(dir + path.sep))) {
+      throw new CatalogValidationError(`Article ${id} file is outside content directories: ${file}`);
+    }
+  }
+
+  const ext = path.extname(filePath).toLowerCase();
+  return {
+    filePath,
+    fileName: `${slug}${ext}`,
+    mimeType: MIME_TYPES[ext] || 'application/octet-stream'
+  };
+}
+
+/**
+ * Validate a manifest entry and attach computed fields
+ * Throws on invalid entries so a broken manifest fails at startup
+ */
+function buildArticle(entry) {
+  const { id, slug, type, title, summary, file, upload, tier } = entry;
+
+  if (!id || !slug || !title) {
+    throw new CatalogValidationError(`Article manifest entry missing id/slug/title: ${JSON.stringify(entry)}`);
+  }
+  if (!SLUG_PATTERN.test(slug)) {
+    throw new CatalogValidationError(`Article ${id} has invalid slug "${slug}" (lowercase letters, digits and hyphens)`);
+  }
+  if (!ARTICLE_TYPES.includes(type)) {
+    throw new CatalogValidationError(`Article ${id} has invalid type "${type}"`);
+  }
+  if (!TIERS.includes(tier)) {
+    throw new CatalogValidationError(`Article ${id} has invalid tier "${tier}"`);
+  }
+  if (file && upload) {
+    throw new CatalogValidationError(`Article ${id} can't have both a file and an upload`);
+  }
+  if (type !== 'text' && !file && !upload) {
+    throw new CatalogValidationError(`Article ${id} of type ${type} requires a file`);
+  }
+
+  const publishedAt = parseDate(id, 'published_at', entry.published_at);
+  if (!publishedAt) {
+    throw new CatalogValidationError(`Article ${id} is missing published_at`);
+  }
+  const publishAt = parseDate(id, 'publish_at', entry.publish_at);
+  const earlyAccessAt = parseDate(id, 'early_access_at', entry.early_access_at);
+  if (earlyAccessAt && (!publishAt || earlyAccessAt > publishAt)) {
+    throw new CatalogValidationError(`Article ${id} early_access_at must be on or before publish_at`);
+  }
+  const category = entry.category ?? null;
+  if (category !== null && !LABEL_PATTERN.test(category)) {
+    throw new CatalogValidationError(`Article ${id} has invalid category "${category}"`);
+  }
+  const tags = entry.tags ?? [];
+  if (!Array.isArray(tags) || !tags.every(tag => LABEL_PATTERN.test(tag))) {
+    throw new CatalogValidationError(`Article ${id} tags must be lowercase slugs: ${JSON.stringify(tags)}`);
+  }
+
+  const previewPages = entry.preview_pages ?? DEFAULT_PREVIEW_PAGES;
+  if (!Number.isInteger(previewPages) || previewPages < 0) {
+    throw new CatalogValidationError(`Article ${id} has invalid preview_pages "${entry.preview_pages}"`);
+  }
+
+  // Free files are served as static assets, which can't honor a schedule
+  if (publishAt && file && tier === 'free') {
+    throw new CatalogValidationError(`Article ${id} is scheduled, so its file must be on a paid tier`);
+  }
+
+  const article = {
+    id,
+    slug,
+    type,
+    title,
+    summary: summary || '',
+    tier,
+    requiresSubscription: tier !== 'free',
+    category,
+    tags: [...new Set(tags)],
+    publishedAt,
+    publishAt,
+    earlyAccessAt,
+    previewPages: type === 'pdf' && tier !== 'free' ? previewPages : 0,
+    revision: entry.revision || null,
+    file: null,
+    upload: null,
+    filePath: null,
+    fileName: null,
+    mimeType: null,
+    size: null,
+    sizeLabel: null
+  };
+
+  if (!file && !upload) return article;
+
+  return Object.assign(article, resolveEntryFile(entry), {
+    file: file || null,
+    upload: upload || null
+  });
+}
+
+// Fill in size/sizeLabel; a missing file is only a warning
+function attachFileSizes(articles) {
+  for (const article of articles) {
+    if (!article.filePath) continue;
+
+    try {
+      article.size = fs.statSync(article.filePath).size;
+      article.sizeLabel = formatSize(article.size);
+    } catch (error) {
+      console.warn(`⚠️ Article ${article.id} file not found: ${article.file || article.upload}`);
+    }
+  }
+  return articles;
+}
+
+/**
+ * Build and validate a whole manifest
+ * @param {Array} entries - Raw manifest entries
+ * @returns {Array} Catalog articles
+ */
+function buildCatalog(entries) {
+  const articles = entries.map(buildArticle);
+
+  const ids = new Set();
+  const slugs = new Set();
+  for (const article of articles) {
+    if (ids.has(article.id) || slugs.has(article.slug)) {
+      throw new CatalogValidationError(`Duplicate article id or slug: ${article.id}/${article.slug}`);
+    }
+    ids.add(article.id);
+    slugs.add(article.slug);
+  }
+
+  return articles;
+}
+
+function loadManifest() {
+  const manifestPath = fs.existsSync(CATALOG_PATH) ? CATALOG_PATH : SEED_MANIFEST_PATH;
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  return { entries: manifest.articles, updatedAt: fs.statSync(manifestPath).mtime };
+}
+
+let { entries, updatedAt: catalogUpdatedAt } = loadManifest();
+let catalog = attachFileSizes(buildCatalog(entries));
+let pendingUpdate = Promise.resolve();
+
+/**
+ * Change the catalog atomically
+ *
+ * Updates are serialized. The mutator gets a copy of the raw manifest
+ * entries and returns the new list; if any entry is invalid nothing is
+ * written and CatalogValidationError is thrown.
+ *
+ * `beforeWrite` runs once the new list is valid, still inside the
+ * serialized update, for work that must only happen for a valid change
+ * (storing uploads, recording revisions). It may return an undo
+ * function, called if the catalog can't be written.
+ *
+ * @param {Function} mutate - (entries) => newEntries
+ * @param {Object} [options]
+ * @param {Function} [options.beforeWrite] - (newEntries) => undo function or nothing
+ * @returns {Promise<Array>} The new catalog
+ */
+export function updateCatalog(mutate, { beforeWrite } = {}) {
+  const run = pendingUpdate.then(async () => {
+    const nextEntries = await mutate(structuredClone(entries));
+    const nextCatalog = buildCatalog(nextEntries);
+    const undo = await beforeWrite?.(nextEntries);
+    attachFileSizes(nextCatalog);
+
+    try {
+      const tmpPath = `${CATALOG_PATH}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(CATALOG_PATH), { recursive: true });
+      await fs.promises.writeFile(tmpPath, `${JSON.stringify({ articles: nextEntries }, null, 2)}\n`);
+      await fs.promises.rename(tmpPath, CATALOG_PATH);
+    } catch (error) {
+      await undo?.();
+      throw error;
+    }
+
+    entries = nextEntries;
+    catalog = nextCatalog;
+    catalogUpdatedAt = new Date();
+    return catalog;
+  });
+
+  // A failed update must not block the ones queued behind it
+  pendingUpdate = run.catch(() => {});
+  return run;
+}
+
+/**
+ * All articles in manifest order
+ * @returns {Array}
+ */
+export function getArticles() {
+  return catalog;
+}
+
+/**
+ * Raw manifest entry (as stored), e.g. for the admin API
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getManifestEntry(id) {
+  const entry = entries.find(candidate => candidate.id === id);
+  return entry ? structuredClone(entry) : null;
+}
+
+/**
+ * When the catalog last changed (manifest modification time)
+ * @returns {Date}
+ */
+export function getCatalogUpdatedAt() {
+  return catalogUpdatedAt;
+}
+
+/**
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getArticle(id) {
+  return catalog.find(article => article.id === id) || null;
+}
+
+/**
+ * Download whitelist lookup
+ * Only articles whose file exists on disk are downloadable
+ * @param {string} fileName - Public download name (e.g. "health-wellness.pdf")
+ * @returns {Object|null}
+ */
+export function getArticleByFileName(fileName) {
+  return catalog.find(
+    article => article.fileName === fileName && article.size !== null
+  ) || null;
+}
+
+/**
+ * Whether an article is visible right now to a given plan
+ * - Published (no publish_at, or publish_at has passed): everyone
+ * - Early-access window (early_access_at <= now < publish_at): plans
+ *   with the 'early_access' entitlement
+ * - Otherwise: nobody
+ *
+ * @param {Object} article
+ * @param {string|null} planId - Active plan, or null for visitors
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isArticleReleased(article, planId, now = new Date()) {
+  if (!article.publishAt || article.publishAt <= now) return true;
+
+  return Boolean(article.earlyAccessAt) &&
+    article.earlyAccessAt <= now &&
+    hasEntitlement(planId, 'early_access');
+}
+
+/**
+ * Date an article counts as published for a plan, for sorting and feeds
+ * Scheduled items date from publish_at (early_access_at for plans with
+ * early access), the rest from published_at. Doesn't depend on the
+ * current time or other entries, so feed items and cursors stay put.
+ * @param {Object} article
+ * @param {string|null} planId - Active plan, or null for visitors
+ * @returns {Date}
+ */
+export function getPublishedDate(article, planId) {
+  if (article.earlyAccessAt && hasEntitlement(planId, 'early_access')) {
+    return article.earlyAccessAt;
+  }
+  return article.publishAt || article.publishedAt;
+}
+
+// Schedule fields shared by both views
+function scheduleFields(article, now = new Date()) {
+  return {
+    publishAt: article.publishAt,
+    earlyAccess: Boolean(article.publishAt && article.publishAt > now)
+  };
+}
+
+/**
+ * URL of a free article's file: site files are static assets, uploads
+ * are served by GET /api/articles/:id/file
+ */
+export function publicFileUrl(article) {
+  return article.file || `/api/articles/${encodeURIComponent(article.id)}/file`;
+}
+
+/**
+ * Public view: metadata only, plus the static asset for free articles
+ */
+export function toPublicArticle(article) {
+  const publicArticle = {
+    id: article.id,
+    slug: article.slug,
+    title: article.title,
+    type: article.type,
+    preview: article.summary,
+    tier: article.tier,
+    requiresSubscription: article.requiresSubscription,
+    category: article.category,
+    tags: article.tags,
+    ...scheduleFields(article)
+  };
+
+  if (article.filePath) {
+    publicArticle.size = article.sizeLabel;
+    publicArticle.url = article.requiresSubscription
+      ? `/api/articles/download/${encodeURIComponent(article.fileName)}`
+      : publicFileUrl(article);
+  }
+
+  if (article.previewPages > 0 && article.size !== null && !isPreviewUnavailable(article)) {
+    publicArticle.previewUrl = `/api/articles/${encodeURIComponent(article.id)}/preview`;
+  }
+
+  return publicArticle;
+}
+
+/**
+ * Subscriber view: includes the protected download URL
+ */
+export function toSubscriberArticle(article) {
+  return {
+    id: article.id,
+    slug: article.slug,
+    title: article.title,
+    type: article.type,
+    summary: article.summary,
+    tier: article.tier,
+    category: article.category,
+    tags: article.tags,
+    fileName: article.fileName,
+    size: article.sizeLabel,
+    revision: article.revision,
+    ...scheduleFields(article),
+    url: article.fileName
+      ? `/api/articles/download/${encodeURIComponent(article.fileName)}`
+      : null
+  };
+}
+
+export default getArticles;
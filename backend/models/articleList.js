@@ -0,0 +1,141 @@
+/**
+ * Article List Queries
+ *
+ * Filtering, sorting and cursor pagination shared by the article list
+ * endpoints (/api/articles/public and /subscribed).
+ *
+ * QUERY: ?tag=&category=&type=&sort=newest|popular|title&limit=&cursor=
+ *
+ * CURSORS:
+ * Keyset cursors (the sort key of the last item on the page), so pages
+ * don't skip or repeat items when articles are added or released
+ * between requests. Keys only use values stored with each article
+ * (dates, title, id), never its position in the list. Cursors are opaque base64url strings and are only
+ * valid for the sort they were issued with.
+ */
+
+import { ARTICLE_TYPES, getPublishedDate } from './article.js';
+import { getArticlePopularity } from './usage.js';
+
+export const SORTS = ['newest', 'popular', 'title'];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+function encodeCursor(sort, key) {
+  return Buffer.from(JSON.stringify({ s: sort, k: key })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  try {
+    const { s, k } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return s === sort && Array.isArray(k) ? k : null;
+  } catch {
+    return null;
+  }
+}
+
+function compareKeys(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] < b[i]) return -1;
+    if (a[i] > b[i]) return 1;
+  }
+  return 0;
+}
+
+/**
+ * Validate list query parameters
+ * @param {Object} query - req.query
+ * @returns {{ options: Object } | { error: string }}
+ */
+export function parseListQuery(query) {
+  const sort = query.sort || 'newest';
+  if (!SORTS.includes(sort)) {
+    return { error: `Sort must be one of: ${SORTS.join(', ')}` };
+  }
+
+  if (query.type && !ARTICLE_TYPES.includes(query.type)) {
+    return { error: `Type must be one of: ${ARTICLE_TYPES.join(', ')}` };
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(String(query.cursor), sort);
+    if (!cursor) return { error: 'Invalid cursor' };
+  }
+
+  return {
+    options: {
+      tag: query.tag ? String(query.tag).toLowerCase() : null,
+      category: query.category ? String(query.category).toLowerCase() : null,
+      type: query.type || null,
+      sort,
+      cursor,
+      limit: Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit, 10) || DEFAULT_LIMIT))
+    }
+  };
+}
+
+function countLabels(articles, getLabels) {
+  const counts = new Map();
+  for (const article of articles) {
+    for (const label of getLabels(article)) {
+      counts.set(label, (counts.get(label) || 0) + 1);
+    }
+  }
+  return [...counts]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([name, count]) => ({ name, count }));
+}
+
+/**
+ * Filter, sort and paginate articles the caller may already see
+ *
+ * @param {Array} articles - Visible articles, in catalog order
+ * @param {Object} options - From parseListQuery, plus planId (the
+ *   viewer's plan, for early-access dates)
+ * @returns {Promise<{ articles: Array, total: number, nextCursor: string|null,
+ *   tags: Array, categories: Array }>}
+ *   tags/categories ({ name, count }) cover all visible articles, so
+ *   clients can build filters regardless of the current filter
+ */
+export async function listArticles(articles, { tag, category, type, sort, cursor, limit, planId = null }) {
+  const matching = articles.filter(article =>
+    (!tag || article.tags.includes(tag)) &&
+    (!category || article.category === category) &&
+    (!type || article.type === type));
+
+  // Sort keys are ascending; the article id makes every key unique
+  const popularity = sort === 'popular' ? await getArticlePopularity() : null;
+  const sortKey = {
+    newest: article => [
+      -getPublishedDate(article, planId).getTime(),
+      article.id
+    ],
+    popular: article => [
+      -(popularity.get(article.id) || 0),
+      article.title.toLowerCase(),
+      article.id
+    ],
+    title: article => [article.title.toLowerCase(), article.id]
+  }[sort];
+
+  const sorted = matching
+    .map(article => ({ article, key: sortKey(article) }))
+    .sort((a, b) => compareKeys(a.key, b.key));
+
+  const remaining = cursor
+    ? sorted.filter(entry => compareKeys(entry.key, cursor) > 0)
+    : sorted;
+  const page = remaining.slice(0, limit);
+  const hasMore = remaining.length > limit;
+
+  return {
+    articles: page.map(entry => entry.article),
+    total: matching.length,
+    nextCursor: hasMore ? encodeCursor(sort, page[page.length - 1].key) : null,
+    tags: countLabels(articles, article => article.tags),
+    categories: countLabels(articles, article => (article.category ? [article.category] : []))
+  };
+}
+
+export default listArticles;
@@ -0,0 +1,208 @@
+/**
+ * Uploaded Content Store
+ *
+ * Files uploaded through the admin API are stored under their SHA-256:
+ *   CONTENT_STORE_DIR/<sha256>.<ext>
+ *
+ * - Identical uploads are stored once
+ * - A stored file never changes, so caches keyed by path stay valid
+ * - Old files are kept when an article is changed or deleted (the
+ *   audit log and older manifests may still reference them)
+ *
+ * SECURITY:
+ * - File type comes from magic bytes, never the client's name or MIME
+ * - Per-type size limits, enforced while the upload streams in
+ * - Files only enter the store once the change using them is valid
+ * - Names are generated, so uploads can't choose their path
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { CONTENT_STORE_DIR, CatalogValidationError } from './article.js';
+
+const MB = 1024 * 1024;
+
+export const UPLOAD_LIMITS = {
+  pdf: 50 * MB,
+  image: 10 * MB
+};
+
+// Uploads are written here first (same filesystem, so rename is atomic)
+export const UPLOAD_TMP_DIR = path.join(CONTENT_STORE_DIR, 'tmp');
+
+const SIGNATURES = [
+  { type: 'pdf', ext: 'pdf', matches: head => head.subarray(0, 5).toString('latin1') === '%PDF-' },
+  {
+    type: 'image',
+    ext: 'png',
+    matches: head => head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  { type: 'image', ext: 'jpg', matches: head => head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff },
+  {
+    type: 'image',
+    ext: 'gif',
+    matches: head => ['GIF87a', 'GIF89a'].includes(head.subarray(0, 6).toString('latin1'))
+  },
+  {
+    type: 'image',
+    ext: 'webp',
+    matches: head => head.subarray(0, 4).toString('latin1') === 'RIFF' &&
+      head.subarray(8, 12).toString('latin1') === 'WEBP'
+  }
+];
+
+/**
+ * Identify a file by its first bytes
+ * @param {Buffer} head - At least the first 12 bytes
+ * @returns {{ type: 'pdf'|'image', ext: string } | null}
+ */
+export function detectFileType(head) {
+  const signature = SIGNATURES.find(candidate => candidate.matches(head));
+  return signature ? { type: signature.type, ext: signature.ext } : null;
+}
+
+const HEAD_BYTES = 12;
+
+function tooLarge(type) {
+  return new CatalogValidationError(
+    `File too large: ${type} uploads are limited to ${UPLOAD_LIMITS[type] / MB} MB`
+  );
+}
+
+/**
+ * Transform that identifies the file from its first bytes and enforces
+ * the size limit of that type, hashing as the data passes through.
+ * Fails on the first chunk that breaks a rule.
+ * @returns {{ stream: Transform, result: Object }} result gets
+ *   { type, ext, size, sha256 } once the stream has ended
+ */
+function createInspector() {
+  const result = { type: null, ext: null, size: 0, sha256: null };
+  const hash = crypto.createHash('sha256');
+  let head = Buffer.alloc(0);
+
+  function identify() {
+    const detected = detectFileType(head);
+    if (!detected) {
+      throw new CatalogValidationError('Unsupported file: upload a PDF, PNG, JPEG, GIF or WebP');
+    }
+    Object.assign(result, detected);
+  }
+
+  function accept(stream, chunk) {
+    result.size += chunk.length;
+    if (result.size > UPLOAD_LIMITS[result.type]) throw tooLarge(result.type);
+    hash.update(chunk);
+    stream.push(chunk);
+  }
+
+  const stream = new Transform({
+    transform(chunk, encoding, next) {
+      try {
+        if (!result.type) {
+          head = Buffer.concat([head, chunk]);
+          if (head.length < HEAD_BYTES) return next();
+          identify();
+          chunk = head;
+        }
+        accept(this, chunk);
+        next();
+      } catch (error) {
+        next(error);
+      }
+    },
+    flush(next) {
+      try {
+        // Files shorter than HEAD_BYTES
+        if (!result.type) {
+          identify();
+          accept(this, head);
+        }
+        result.sha256 = hash.digest('hex');
+        next();
+      } catch (error) {
+        next(error);
+      }
+    }
+  });
+
+  return { stream, result };
+}
+
+/**
+ * Multer storage engine for admin uploads
+ *
+ * The type is checked as soon as the magic bytes arrive and the size
+ * limit while streaming, so a bad upload is never fully written. Accepted
+ * files wait in UPLOAD_TMP_DIR until commitUpload() moves them into the
+ * store; req.file gets { path, size, type, upload }.
+ */
+export function createUploadStorage() {
+  return {
+    _handleFile(req, file, callback) {
+      const tmpPath = path.join(UPLOAD_TMP_DIR, crypto.randomBytes(16).toString('hex'));
+      const inspector = createInspector();
+      const output = fs.createWriteStream(tmpPath, { mode: 0o600 });
+      let settled = false;
+
+      const settle = (error) => {
+        if (settled) return;
+        settled = true;
+
+        if (!error) {
+          const { type, ext, size, sha256 } = inspector.result;
+          return callback(null, { path: tmpPath, size, type, upload: `${sha256}.${ext}` });
+        }
+
+        // Stop writing, but drain the rest so the request can finish
+        file.stream.unpipe(inspector.stream);
+        file.stream.resume();
+        output.destroy();
+        fs.promises.rm(tmpPath, { force: true }).finally(() => callback(error));
+      };
+
+      inspector.stream.on('error', settle);
+      output.on('error', settle);
+      output.on('finish', () => settle(null));
+      file.stream.pipe(inspector.stream).pipe(output);
+    },
+
+    _removeFile(req, file, callback) {
+      fs.promises.rm(file.path, { force: true }).then(() => callback(null), callback);
+    }
+  };
+}
+
+/**
+ * Delete an upload that won't be committed
+ * @param {Object} file - req.file from createUploadStorage()
+ */
+export async function discardUpload(file) {
+  await fs.promises.rm(file.path, { force: true });
+}
+
+/**
+ * Move an accepted upload into the store
+ * Call it only once the change using the file is known to be valid.
+ *
+ * @param {Object} file - req.file from createUploadStorage()
+ * @returns {Promise<Function>} Undo: removes the stored file again, if
+ *   this call added it (identical content may already be in use)
+ */
+export async function commitUpload(file) {
+  const storedPath = path.join(CONTENT_STORE_DIR, file.upload);
+
+  if (fs.existsSync(storedPath)) {
+    await discardUpload(file);
+    return async () => {};
+  }
+
+  await fs.promises.rename(file.path, storedPath);
+  return async () => {
+    await fs.promises.rm(storedPath, { force: true });
+  };
+}
+
+export default commitUpload;
@@ -0,0 +1,86 @@
+/**
+ * Email Verification Links
+ *
+ * Signup emails a link to login.html?verify=<token>; the page posts the
+ * token to POST /api/auth/verify-email.
+ *
+ * TOKEN: <userId>.<expires (unix seconds)>.<HMAC-SHA256>
+ *
+ * SECURITY:
+ * - Stateless: nothing stored, so nothing to leak from the database
+ * - Signature covers the address, so a link stops working once the
+ *   account's email changes
+ * - Expires after VERIFICATION_TTL_SECONDS
+ * - Purpose-prefixed HMAC, so it can't be swapped for another signature
+ */
+
+import crypto from 'crypto';
+import { signingSecret } from '../utils/signedUrl.js';
+
+export const VERIFICATION_TTL_SECONDS = 24 * 60 * 60;
+
+// Minimum gap between verification emails to the same account
+export const VERIFICATION_RESEND_INTERVAL_MS = 60 * 1000;
+
+function computeSignature(userId, email, expires) {
+  return crypto
+    .createHmac('sha256', signingSecret())
+    .update(`email-verification\n${userId}\n${email}\n${expires}`)
+    .digest('base64url');
+}
+
+/**
+ * @param {Object} user - { id, email }
+ * @returns {string}
+ */
+export function createVerificationToken(user) {
+  const expires = Math.floor(Date.now() / 1000) + VERIFICATION_TTL_SECONDS;
+  return `${user.id}.${expires}.${computeSignature(user.id, user.email, expires)}`;
+}
+
+/**
+ * Account id a token claims to be for (verify with checkVerificationToken)
+ * @param {string} token
+ * @returns {string|null}
+ */
+export function getVerificationTokenUserId(token) {
+  const [userId] = String(token).split('.');
+  return userId || null;
+}
+
+/**
+ * @param {string} token
+ * @param {Object} user - The account from getVerificationTokenUserId()
+ * @returns {{ valid: true } | { valid: false, reason: string }}
+ */
+export function checkVerificationToken(token, user) {
+  const [userId, exp, sig] = String(token).split('.');
+  const expires = parseInt(exp, 10);
+
+  if (!userId || !sig || !Number.isFinite(expires) || userId !== user.id) {
+    return { valid: false, reason: 'malformed' };
+  }
+  if (expires < Date.now() / 1000) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  const expected = Buffer.from(computeSignature(user.id, user.email, expires));
+  const provided = Buffer.from(sig);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return { valid: false, reason: 'bad_signature' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Link to the verification page on the frontend
+ * @param {string} token
+ * @returns {string}
+ */
+export function verificationLink(token) {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${base}/login.html?verify=${encodeURIComponent(token)}`;
+}
+
+export default createVerificationToken;
@@ -0,0 +1,40 @@
+/**
+ * Personal Feed Tokens
+ *
+ * Feed readers can't log in, so a subscriber's personal feed URL carries
+ * a secret token: /feeds/personal/<token>/articles.rss
+ *
+ * SECURITY:
+ * - 256-bit random secret, shown to the user when created
+ * - Only a SHA-256 hash is stored (same reasoning as API keys)
+ * - One active token per user; creating a new one revokes the old URL
+ */
+
+import crypto from 'crypto';
+
+export const FEED_TOKEN_PREFIX = 'bbf_';
+
+/**
+ * @returns {{ token: string, prefix: string, hash: string }}
+ */
+export function generateFeedToken() {
+  const token = `${FEED_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return { token, prefix: token.slice(0, 12), hash: hashFeedToken(token) };
+}
+
+export function hashFeedToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Public view of a token record (never includes the hash)
+ */
+export function toPublicFeedToken(record) {
+  return {
+    id: record.id,
+    prefix: record.prefix,
+    createdAt: record.created_at
+  };
+}
+
+export default generateFeedToken;
@@ -0,0 +1,65 @@
+/**
+ * Reading Library
+ *
+ * Per-user reading state on top of db.bookmarks and db.progress:
+ * - Bookmarks: a reading list of articles the user can see
+ * - Progress: last page and percentage of a PDF ("continue reading")
+ * - History: articles ordered by when they were last opened
+ *
+ * Progress is stored by page; the percentage is derived from the PDF's
+ * page count, which is read once per file version and cached.
+ */
+
+import fs from 'fs/promises';
+import { isArticleReleased } from './article.js';
+import { countPdfPages } from '../utils/pdfText.js';
+import { planMeetsTier, hasEntitlement } from '../config/plans.js';
+
+// filePath -> { mtimeMs, pages }
+const pageCountCache = new Map();
+
+/**
+ * Number of pages in a PDF article (cached per file version)
+ * @param {Object} article - Catalog article of type 'pdf'
+ * @returns {Promise<number>}
+ */
+export async function getPageCount(article) {
+  const stat = await fs.stat(article.filePath);
+  const cached = pageCountCache.get(article.filePath);
+  if (cached && cached.mtimeMs === stat.mtimeMs) {
+    return cached.pages;
+  }
+
+  const pages = await countPdfPages(article.filePath);
+  pageCountCache.set(article.filePath, { mtimeMs: stat.mtimeMs, pages });
+  return pages;
+}
+
+/**
+ * Whether a plan can open an article's content (free or entitled)
+ * @param {string|null} planId
+ * @param {Object} article
+ * @returns {boolean}
+ */
+export function canReadArticle(planId, article) {
+  if (!isArticleReleased(article, planId)) return false;
+  if (!article.requiresSubscription) return true;
+
+  return planMeetsTier(planId, article.tier) &&
+    hasEntitlement(planId, 'article_type', article.type);
+}
+
+/**
+ * Public view of a progress record
+ */
+export function toProgressView(record) {
+  return {
+    page: record.page,
+    totalPages: record.total_pages,
+    percent: record.percent,
+    lastOpenedAt: record.last_opened_at,
+    updatedAt: record.updated_at
+  };
+}
+
+export default getPageCount;
@@ -0,0 +1,235 @@
+/**
+ * Per-Account Login Throttling
+ *
+ * The IP rate limit (authLimiter) can't stop a credential-stuffing run
+ * spread over many IPs against one account, so failed logins are also
+ * counted per normalized email:
+ * - From BACKOFF_AFTER_FAILURES on, each failure doubles the wait
+ *   before the next attempt (1s, 2s, 4s... capped at MAX_BACKOFF_MS)
+ * - At LOCKOUT_AFTER_FAILURES the email is locked for
+ *   LOCKOUT_DURATION_MS, doubling with each lockout in the window
+ * - Failures are forgotten after FAILURE_WINDOW_MS without one, or on
+ *   a successful login
+ *
+ * CONCURRENCY: reserveLoginAttempt() is taken before the password is
+ * checked and released once the outcome is recorded. Reserved attempts
+ * count as failures that just happened, so parallel guesses run into
+ * the backoff at once instead of all passing the same check. Reads and
+ * writes for one email are serialized, so no failure is lost.
+ *
+ * SCHEMA:
+ * Login attempts: { id, email, failures, lockouts, last_failure_at,
+ *                   locked_until, unlock_token_hash, created_at }
+ *
+ * SECURITY:
+ * - Tracked by email whether or not the account exists, so throttled
+ *   responses look the same for both (no enumeration)
+ * - While throttled the password isn't checked at all
+ * - Lockouts email the owner a single-use unlock link (hashed at rest)
+ */
+
+import crypto from 'crypto';
+import { db } from './user.js';
+
+export const BACKOFF_AFTER_FAILURES = 3;
+const BACKOFF_BASE_MS = 1000;
+const MAX_BACKOFF_MS = 60 * 1000;
+
+export const LOCKOUT_AFTER_FAILURES = 10;
+export const LOCKOUT_DURATION_MS = 15 * 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// email -> attempts whose password/code is still being checked
+const inFlight = new Map();
+// email -> tail of the queue of throttle operations for that email
+const queues = new Map();
+
+// Run a task after the earlier ones for the same email
+function serialize(email, task) {
+  const run = (queues.get(email) || Promise.resolve()).then(task);
+  const tail = run.catch(() => {});
+  queues.set(email, tail);
+  tail.then(() => {
+    if (queues.get(email) === tail) queues.delete(email);
+  });
+  return run;
+}
+
+export function normalizeEmail(email) {
+  return String(email ?? '').trim().toLowerCase();
+}
+
+export function hashUnlockToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Link that lifts a lockout (frontend calls POST /api/auth/unlock)
+ * @param {string} token
+ * @returns {string}
+ */
+export function unlockLink(token) {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${base}/login.html?unlock=${encodeURIComponent(token)}`;
+}
+
+// Failures older than the window no longer count
+function isStale(record, now) {
+  return !record.last_failure_at ||
+    now - new Date(record.last_failure_at) > FAILURE_WINDOW_MS;
+}
+
+/**
+ * When the next login attempt for a record is allowed
+ * @param {Object|null} record
+ * @param {number} [now] - ms timestamp
+ * @returns {{ retryAt: number|null, locked: boolean }}
+ */
+export function nextAttemptAt(record, now = Date.now()) {
+  if (!record) return { retryAt: null, locked: false };
+
+  const lockedUntil = record.locked_until ? new Date(record.locked_until).getTime() : 0;
+  if (lockedUntil > now) return { retryAt: lockedUntil, locked: true };
+
+  if (isStale(record, now) || record.failures < BACKOFF_AFTER_FAILURES) {
+    return { retryAt: null, locked: false };
+  }
+
+  const delay = Math.min(
+    BACKOFF_BASE_MS * 2 ** (record.failures - BACKOFF_AFTER_FAILURES),
+    MAX_BACKOFF_MS
+  );
+  const retryAt = new Date(record.last_failure_at).getTime() + delay;
+  return { retryAt: retryAt > now ? retryAt : null, locked: false };
+}
+
+// The stored record, with attempts in flight counted as fresh failures
+function withInFlight(record, email, now) {
+  const count = inFlight.get(email) || 0;
+  if (!count) return record;
+
+  const failures = record && !isStale(record, now) ? record.failures : 0;
+  return { ...record, failures: failures + count, last_failure_at: new Date(now) };
+}
+
+/**
+ * Reserve a login attempt for this email, if it may go ahead
+ * An allowed attempt must be released with releaseLoginAttempt() once
+ * its failure (or success) has been recorded.
+ * @param {string} email
+ * @returns {Promise<{ allowed: boolean, locked: boolean, retryAfterSeconds: number }>}
+ */
+export function reserveLoginAttempt(email) {
+  const normalized = normalizeEmail(email);
+
+  return serialize(normalized, async () => {
+    const now = Date.now();
+    const record = withInFlight(await db.loginAttempts.findByEmail(normalized), normalized, now);
+    const { retryAt, locked } = nextAttemptAt(record, now);
+
+    if (retryAt === null) {
+      inFlight.set(normalized, (inFlight.get(normalized) || 0) + 1);
+    }
+    return {
+      allowed: retryAt === null,
+      locked,
+      retryAfterSeconds: retryAt === null ? 0 : Math.ceil((retryAt - now) / 1000)
+    };
+  });
+}
+
+/**
+ * End an attempt reserved with reserveLoginAttempt()
+ * @param {string} email
+ */
+export function releaseLoginAttempt(email) {
+  const normalized = normalizeEmail(email);
+  const count = (inFlight.get(normalized) || 0) - 1;
+
+  if (count > 0) inFlight.set(normalized, count);
+  else inFlight.delete(normalized);
+}
+
+/**
+ * Count a failed login (wrong password or second factor)
+ * @param {string} email
+ * @returns {Promise<{ failures: number, lockedUntil: Date|null, unlockToken: string|null }>}
+ *   lockedUntil/unlockToken are set only when this failure started a lockout
+ */
+export function recordLoginFailure(email) {
+  const normalized = normalizeEmail(email);
+  return serialize(normalized, () => saveLoginFailure(normalized));
+}
+
+async function saveLoginFailure(normalized) {
+  const now = Date.now();
+  const existing = await db.loginAttempts.findByEmail(normalized);
+  const fresh = !existing || isStale(existing, now);
+
+  const failures = (fresh ? 0 : existing.failures) + 1;
+  const lockouts = fresh ? 0 : existing.lockouts || 0;
+
+  if (failures < LOCKOUT_AFTER_FAILURES) {
+    await db.loginAttempts.save(normalized, {
+      failures,
+      lockouts,
+      last_failure_at: new Date(now),
+      ...(fresh && { locked_until: null, unlock_token_hash: null })
+    });
+    return { failures, lockedUntil: null, unlockToken: null };
+  }
+
+  // LOCKOUT: counting starts over, but the next lockout lasts twice as long
+  const lockedUntil = new Date(now + Math.min(LOCKOUT_DURATION_MS * 2 ** lockouts, MAX_LOCKOUT_MS));
+  const unlockToken = crypto.randomBytes(32).toString('base64url');
+
+  await db.loginAttempts.save(normalized, {
+    failures: 0,
+    lockouts: lockouts + 1,
+    last_failure_at: new Date(now),
+    locked_until: lockedUntil,
+    unlock_token_hash: hashUnlockToken(unlockToken)
+  });
+  return { failures, lockedUntil, unlockToken };
+}
+
+/**
+ * Forget failures after a successful login or password reset
+ * @param {string} email
+ * @returns {Promise<boolean>} Whether the email was locked out
+ */
+export function clearLoginFailures(email) {
+  const normalized = normalizeEmail(email);
+
+  return serialize(normalized, async () => {
+    const record = await db.loginAttempts.findByEmail(normalized);
+    if (!record) return false;
+
+    await db.loginAttempts.remove(record.id);
+    return nextAttemptAt(record).locked;
+  });
+}
+
+/**
+ * Lift a lockout with the token from the unlock email
+ * @param {string} token
+ * @returns {Promise<string|null>} The unlocked email, or null if the
+ *   token is unknown or was already used
+ */
+export async function unlockWithToken(token) {
+  const found = await db.loginAttempts.findByUnlockHash(hashUnlockToken(token));
+  if (!found) return null;
+
+  return serialize(found.email, async () => {
+    // Re-read: a login may have changed the record meanwhile
+    const record = await db.loginAttempts.findByUnlockHash(hashUnlockToken(token));
+    if (!record || isStale(record, Date.now())) return null;
+
+    await db.loginAttempts.remove(record.id);
+    return record.email;
+  });
+}
+
+export default reserveLoginAttempt;
@@ -0,0 +1,79 @@
+/**
+ * Password Reset Tokens
+ *
+ * POST /api/auth/forgot emails a link with a one-time token;
+ * POST /api/auth/reset exchanges it for a new password.
+ *
+ * SECURITY:
+ * - 256-bit random secret, only ever sent by email
+ * - Only a SHA-256 hash is stored (same reasoning as API keys)
+ * - Single use, expires after RESET_TOKEN_TTL_MS; redeeming checks and
+ *   burns the token in one serialized step, so concurrent requests
+ *   can't both use it
+ * - Requesting a new link invalidates older ones
+ */
+
+import crypto from 'crypto';
+import { db } from './user.js';
+
+export const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+// Minimum gap between reset emails to the same account
+export const RESET_REQUEST_INTERVAL_MS = 60 * 1000;
+
+/**
+ * @returns {{ token: string, hash: string, expiresAt: Date }}
+ */
+export function generateResetToken() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return {
+    token,
+    hash: hashResetToken(token),
+    expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MS)
+  };
+}
+
+export function hashResetToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Whether a stored token can still be used
+ * @param {Object|null} record
+ * @returns {boolean}
+ */
+export function isResetTokenUsable(record) {
+  return Boolean(record) && !record.used_at && new Date(record.expires_at) > new Date();
+}
+
+let pendingRedeem = Promise.resolve();
+
+/**
+ * Burn a token and return its record, if it was still usable
+ * @param {string} token - From the reset link
+ * @returns {Promise<Object|null>} The record, or null if the token is
+ *   unknown, expired or already used
+ */
+export function redeemResetToken(token) {
+  const run = pendingRedeem.then(async () => {
+    const record = await db.passwordResets.findByHash(hashResetToken(token));
+    if (!isResetTokenUsable(record)) return null;
+
+    return db.passwordResets.markUsed(record.id);
+  });
+
+  pendingRedeem = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Link to the reset form on the frontend
+ * @param {string} token
+ * @returns {string}
+ */
+export function resetLink(token) {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${base}/login.html?reset=${encodeURIComponent(token)}`;
+}
+
+export default generateResetToken;
@@ -0,0 +1,206 @@
+/**
+ * Free PDF Previews
+ *
+ * Visitors can read the first pages of a premium PDF before buying:
+ * - Up to article.previewPages pages (never more than half the document)
+ * - A "Subscribe to continue" page with the plan needed and pricing URL
+ * - A footer on every preview page marking it as a preview
+ *
+ * CACHING:
+ * One preview is rendered per (article, source file version) and shared
+ * by every visitor, so the preview route stays cheap under load. A
+ * document too short for a preview leaves an empty .none marker under
+ * the same key, so it isn't parsed again until the file changes, and
+ * its catalog entry stops advertising a previewUrl.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import { getPlan } from '../config/plans.js';
+import { getFileEtag } from '../utils/fileResponse.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CACHE_DIR = process.env.PREVIEW_CACHE_DIR
+  ? path.resolve(process.env.PREVIEW_CACHE_DIR)
+  : path.join(__dirname, '../data/previews');
+
+// Letter size, used if the preview has no pages to copy dimensions from
+const DEFAULT_PAGE_SIZE = [612, 792];
+
+// `${articleId}:${etagHash}` -> Promise<preview>, avoids double renders
+const inFlight = new Map();
+
+// articleId -> source of a document known to be too short for a preview
+const unavailable = new Map();
+
+const sourceKey = (article) => `${article.filePath}:${article.size}:${article.previewPages}`;
+
+// Standard fonts only encode WinAnsi; replace anything else
+const printable = (text) => String(text).replace(/[^\x20-\x7E]/g, '?');
+
+/**
+ * Number of pages a preview of this article may show
+ * @param {Object} article
+ * @param {number} pageCount - Pages in the full document
+ * @returns {number} 0 means no preview
+ */
+export function previewPageCount(article, pageCount) {
+  return Math.max(0, Math.min(article.previewPages, Math.floor(pageCount / 2)));
+}
+
+function pricingUrl() {
+  return `${process.env.FRONTEND_URL || ''}/pricing.html`;
+}
+
+/**
+ * Render a preview of a PDF
+ * @param {Buffer} source - Original PDF bytes
+ * @param {Object} article - Catalog article
+ * @returns {Promise<Uint8Array|null>} null when the document is too short
+ */
+export async function renderPreviewPdf(source, article) {
+  const original = await PDFDocument.load(source);
+  const totalPages = original.getPageCount();
+  const pages = previewPageCount(article, totalPages);
+  if (pages === 0) return null;
+
+  const preview = await PDFDocument.create();
+  const font = await preview.embedFont(StandardFonts.Helvetica);
+  const bold = await preview.embedFont(StandardFonts.HelveticaBold);
+  const footer = printable(`Free preview of "${article.title}" - subscribe at ${pricingUrl()}`);
+
+  const copied = await preview.copyPages(original, [...Array(pages).keys()]);
+  for (const page of copied) {
+    preview.addPage(page);
+    const { width } = page.getSize();
+    const textWidth = font.widthOfTextAtSize(footer, 7);
+    page.drawText(footer, {
+      x: Math.max(10, (width - textWidth) / 2),
+      y: 10,
+      size: 7,
+      font,
+      color: rgb(0.45, 0.45, 0.45)
+    });
+  }
+
+  // Upsell page
+  const size = copied[0] ? [copied[0].getWidth(), copied[0].getHeight()] : DEFAULT_PAGE_SIZE;
+  const page = preview.addPage(size);
+  const [width, height] = size;
+  const plan = getPlan(article.tier);
+  const lines = [
+    { text: 'Subscribe to continue reading', font: bold, size: 22 },
+    { text: `${totalPages - pages} more pages in the full guide`, font, size: 13 },
+    { text: `Included with the ${plan ? plan.name : article.tier} plan and above`, font, size: 13 },
+    { text: pricingUrl(), font, size: 11, color: rgb(0, 0.4, 0.8) }
+  ];
+
+  let y = height / 2 + 60;
+  for (const line of lines) {
+    const text = printable(line.text);
+    const textWidth = line.font.widthOfTextAtSize(text, line.size);
+    page.drawText(text, {
+      x: Math.max(20, (width - textWidth) / 2),
+      y,
+      size: line.size,
+      font: line.font,
+      color: line.color || rgb(0.1, 0.1, 0.1)
+    });
+    y -= line.size * 2.4;
+  }
+
+  preview.setTitle(printable(`Preview: ${article.title}`));
+  preview.setSubject('Free preview');
+  return preview.save();
+}
+
+/**
+ * Whether the article's current file is known to be too short for a preview
+ * @param {Object} article - Catalog article
+ * @returns {boolean}
+ */
+export function isPreviewUnavailable(article) {
+  return unavailable.get(article.id) === sourceKey(article);
+}
+
+async function renderCached(article, filePath, markerPath) {
+  const source = await fs.readFile(article.filePath);
+  const rendered = await renderPreviewPdf(source, article);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  if (!rendered) {
+    await fs.writeFile(markerPath, '');
+    unavailable.set(article.id, sourceKey(article));
+    return null;
+  }
+
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, rendered);
+  await fs.rename(tmpPath, filePath);
+  return { file_path: filePath };
+}
+
+/**
+ * Preview PDF of a premium article (cached)
+ * @param {Object} article - Catalog article of type 'pdf'
+ * @returns {Promise<{ file_path: string } | null>} null if no preview is available
+ */
+export async function getPreviewPdf(article) {
+  if (article.previewPages === 0) return null;
+
+  const stat = await fs.stat(article.filePath);
+  const sourceEtag = await getFileEtag(article.filePath, stat);
+  const etagHash = crypto.createHash('sha256')
+    .update(`${sourceEtag}:${article.previewPages}`)
+    .digest('hex')
+    .slice(0, 16);
+  const filePath = path.join(CACHE_DIR, `${article.id}-${etagHash}.pdf`);
+  const markerPath = path.join(CACHE_DIR, `${article.id}-${etagHash}.none`);
+
+  try {
+    await fs.access(filePath);
+    unavailable.delete(article.id);
+    return { file_path: filePath };
+  } catch {
+    // Not rendered yet
+  }
+
+  try {
+    await fs.access(markerPath);
+    unavailable.set(article.id, sourceKey(article));
+    return null;
+  } catch {
+    // Not known to be too short
+  }
+
+  const key = `${article.id}:${etagHash}`;
+  if (!inFlight.has(key)) {
+    inFlight.set(
+      key,
+      renderCached(article, filePath, markerPath).finally(() => inFlight.delete(key))
+    );
+  }
+  return inFlight.get(key);
+}
+
+/**
+ * Render missing previews one at a time, so listings know which PDFs
+ * have none before anyone requests them
+ * @param {Array} articles - Catalog articles
+ */
+export async function warmPreviews(articles) {
+  for (const article of articles) {
+    if (article.type !== 'pdf' || article.previewPages === 0 || article.size === null) continue;
+
+    try {
+      await getPreviewPdf(article);
+    } catch (error) {
+      console.error(`Preview: unable to render ${article.id}:`, error.message);
+    }
+  }
+}
+
+export default getPreviewPdf;
@@ -0,0 +1,177 @@
+/**
+ * Article Revisions
+ *
+ * Every change the admin API makes to an article is kept as an
+ * immutable revision: the manifest entry after the change, who made it,
+ * when, and which fields changed (db.revisions).
+ *
+ * - The entry's `revision` field is the id of its current revision and
+ *   is exposed in /subscribed, so clients can tell a cached file is stale
+ * - Uploads are content-addressed and never deleted, so the file of
+ *   every revision stays downloadable
+ * - Articles from the seed manifest get a baseline 'imported' revision
+ *   the first time they change, so their original state is kept too
+ * - Rolling back records a new revision with the old entry; history is
+ *   never rewritten
+ */
+
+import crypto from 'crypto';
+import { db } from './user.js';
+import { CatalogValidationError, updateCatalog } from './article.js';
+
+// Bookkeeping fields left out of change summaries
+const UNTRACKED_FIELDS = ['revision'];
+
+/**
+ * Field-by-field differences between two manifest entries
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {Array<{ field: string, from: *, to: * }>}
+ */
+export function diffEntries(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  for (const field of fields) {
+    if (UNTRACKED_FIELDS.includes(field)) continue;
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  }
+
+  return changes;
+}
+
+function withoutRevision(entry) {
+  const { revision, ...rest } = entry;
+  return rest;
+}
+
+/**
+ * Change one article and record the result as a new revision
+ *
+ * Runs inside updateCatalog, so changes are serialized. Revisions are
+ * only recorded once the new catalog is valid, and removed again if it
+ * can't be written, so the catalog never points at a missing revision
+ * and a rejected change leaves no history behind.
+ *
+ * @param {Object} options
+ * @param {string} options.articleId
+ * @param {string} options.action - 'created' | 'updated' | 'deleted' | 'rolled_back'
+ * @param {Function} options.change - (entry|null) => new entry, or null to delete
+ * @param {string|null} options.authorId
+ * @param {string|null} [options.rolledBackTo] - Revision restored by a rollback
+ * @param {Function} [options.beforeWrite] - Work for a valid change only (e.g.
+ *   commit an upload), run before the revision is recorded; may return an undo
+ * @returns {Promise<Object>} The new revision record
+ * @throws {CatalogValidationError}
+ */
+export async function commitArticleChange({ articleId, action, change, authorId, rolledBackTo = null, beforeWrite }) {
+  const revisionId = crypto.randomUUID();
+  let baseline = null;
+  let revision;
+
+  await updateCatalog(async (entries) => {
+    const index = entries.findIndex(entry => entry.id === articleId);
+    const before = index === -1 ? null : entries[index];
+    const after = await change(before ? structuredClone(before) : null);
+
+    if (!before && !after) {
+      throw new CatalogValidationError(`Article ${articleId} not found`);
+    }
+
+    // Seed articles: keep the state they had before their first change
+    if (before && !before.revision &&
+        (await db.revisions.findByArticleId(articleId)).length === 0) {
+      baseline = {
+        id: crypto.randomUUID(),
+        article_id: articleId,
+        action: 'imported',
+        entry: before,
+        changes: [],
+        author_id: null
+      };
+    }
+
+    if (after) after.revision = revisionId;
+    revision = {
+      id: revisionId,
+      article_id: articleId,
+      action,
+      entry: after && withoutRevision(after),
+      changes: after ? diffEntries(before, after) : [],
+      author_id: authorId,
+      rolled_back_to: rolledBackTo
+    };
+
+    if (!after) return entries.filter(entry => entry.id !== articleId);
+    if (!before) return [...entries, after];
+    return entries.map(entry => (entry.id === articleId ? after : entry));
+  }, {
+    beforeWrite: async (nextEntries) => {
+      const undoBeforeWrite = await beforeWrite?.(nextEntries);
+      const recorded = [];
+      const undo = async () => {
+        for (const record of recorded) await db.revisions.remove(record.id);
+        await undoBeforeWrite?.();
+      };
+
+      try {
+        for (const record of [baseline, revision].filter(Boolean)) {
+          recorded.push(await db.revisions.create(record));
+        }
+      } catch (error) {
+        await undo();
+        throw error;
+      }
+      return undo;
+    }
+  });
+
+  return db.revisions.findById(revisionId);
+}
+
+function describeRevision(record, numbers) {
+  switch (record.action) {
+    case 'imported': return 'Initial version';
+    case 'created': return 'Created';
+    case 'deleted': return 'Deleted';
+    case 'rolled_back': return `Rolled back to revision ${numbers.get(record.rolled_back_to) ?? '?'}`;
+    default: return `Changed ${record.changes.map(change => change.field).join(', ') || 'nothing'}`;
+  }
+}
+
+/**
+ * Admin view of an article's history, newest first
+ * @param {Array} records - From db.revisions.findByArticleId (oldest first)
+ * @param {string|null} currentId - The catalog entry's current revision
+ * @returns {Promise<Array>}
+ */
+export async function toRevisionViews(records, currentId) {
+  const numbers = new Map(records.map((record, index) => [record.id, index + 1]));
+  const authorIds = [...new Set(records.map(record => record.author_id).filter(Boolean))];
+  const authors = new Map();
+  for (const authorId of authorIds) {
+    const user = await db.users.findById(authorId);
+    authors.set(authorId, user ? { id: user.id, email: user.email } : { id: authorId, email: null });
+  }
+
+  return records.map(record => ({
+    id: record.id,
+    number: numbers.get(record.id),
+    action: record.action,
+    current: record.id === currentId,
+    summary: describeRevision(record, numbers),
+    changes: record.changes,
+    author: authors.get(record.author_id) || null,
+    createdAt: record.created_at,
+    rolledBackTo: record.rolled_back_to,
+    fileUrl: record.entry?.file || record.entry?.upload
+      ? `/api/admin/articles/${encodeURIComponent(record.article_id)}/revisions/${record.id}/file`
+      : null
+  })).reverse();
+}
+
+export default commitArticleChange;
@@ -0,0 +1,264 @@
+/**
+ * Article Search Index
+ *
+ * In-memory inverted index over the article catalog:
+ * - title    (public, weight 3)
+ * - summary  (public, weight 2)
+ * - content  (text extracted from PDFs, weight 1, subscribers only)
+ *
+ * SECURITY: Field visibility is decided per query. Visitors without an
+ * entitled plan only match (and get snippets from) public metadata, so
+ * searching can't leak premium PDF text.
+ *
+ * FRESHNESS: Each document remembers a signature of its catalog entry
+ * and file (mtime/size). refresh() re-indexes only documents whose
+ * signature changed, adds new articles and drops removed ones.
+ */
+
+import fs from 'fs/promises';
+import { getArticles } from './article.js';
+import { extractPdfText } from '../utils/pdfText.js';
+
+const FIELD_WEIGHTS = { title: 3, summary: 2, content: 1 };
+const PUBLIC_FIELDS = ['title', 'summary'];
+const REFRESH_INTERVAL_MS = 30 * 1000;
+const SNIPPET_RADIUS = 80;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in',
+  'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with'
+]);
+
+/**
+ * Lowercase, strip accents, split on anything that isn't a letter/digit
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length > 1 && !STOPWORDS.has(token));
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  }[char]));
+}
+
+/**
+ * Excerpt around the first matching term, with matches wrapped in <mark>
+ * Output is HTML-escaped apart from the <mark> tags
+ */
+export function buildSnippet(text, terms) {
+  const normalized = text.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{N}&#])(${terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})(?![\\p{L}\\p{N}])`,
+    'gu'
+  );
+
+  const first = pattern.exec(normalized);
+  if (!first) return null;
+
+  // NFKD + stripping marks can shift offsets; map back approximately
+  const ratio = text.length / Math.max(1, normalized.length);
+  const center = Math.round(first.index * ratio);
+  const start = Math.max(0, center - SNIPPET_RADIUS);
+  const end = Math.min(text.length, center + SNIPPET_RADIUS);
+
+  const excerpt = text.slice(start, end).replace(/\s+/g, ' ').trim();
+  const highlighted = escapeHtml(excerpt).replace(
+    new RegExp(pattern.source, 'giu'),
+    match => `<mark>${match}</mark>`
+  );
+
+  return `${start > 0 ? '…' : ''}${highlighted}${end < text.length ? '…' : ''}`;
+}
+
+class SearchIndex {
+  constructor() {
+    this.documents = new Map(); // articleId -> { signature, fields, termCounts }
+    this.postings = new Map(); // term -> Set<articleId>
+    this.lastRefresh = 0;
+    this.refreshing = null;
+  }
+
+  async signatureFor(article) {
+    let fileSignature = 'none';
+    if (article.filePath) {
+      try {
+        const stat = await fs.stat(article.filePath);
+        fileSignature = `${stat.mtimeMs}:${stat.size}`;
+      } catch {
+        fileSignature = 'missing';
+      }
+    }
+    return JSON.stringify([article.title, article.summary, article.filePath, fileSignature]);
+  }
+
+  removeDocument(articleId) {
+    const document = this.documents.get(articleId);
+    if (!document) return;
+
+    for (const term of document.termCounts.keys()) {
+      const ids = this.postings.get(term);
+      ids?.delete(articleId);
+      if (ids?.size === 0) this.postings.delete(term);
+    }
+    this.documents.delete(articleId);
+  }
+
+  async indexArticle(article, signature) {
+    const fields = {
+      title: article.title,
+      summary: article.summary,
+      content: ''
+    };
+
+    if (article.type === 'pdf' && article.filePath && !signature.endsWith('"missing"]')) {
+      try {
+        fields.content = await extractPdfText(article.filePath);
+      } catch (error) {
+        console.error(`Search: unable to extract text from ${article.id}:`, error.message);
+      }
+    }
+
+    // term -> { title: n, summary: n, content: n }
+    const termCounts = new Map();
+    for (const [field, text] of Object.entries(fields)) {
+      for (const term of tokenize(text)) {
+        if (!termCounts.has(term)) termCounts.set(term, {});
+        const counts = termCounts.get(term);
+        counts[field] = (counts[field] || 0) + 1;
+      }
+    }
+
+    this.removeDocument(article.id);
+    this.documents.set(article.id, { signature, fields, termCounts });
+    for (const term of termCounts.keys()) {
+      if (!this.postings.has(term)) this.postings.set(term, new Set());
+      this.postings.get(term).add(article.id);
+    }
+  }
+
+  /**
+   * Re-index changed articles, add new ones, drop removed ones
+   * @returns {Promise<number>} Number of documents (re)indexed
+   */
+  async refresh() {
+    if (this.refreshing) return this.refreshing;
+
+    this.refreshing = (async () => {
+      const articles = getArticles();
+      const currentIds = new Set(articles.map(article => article.id));
+      let changed = 0;
+
+      for (const articleId of [...this.documents.keys()]) {
+        if (!currentIds.has(articleId)) this.removeDocument(articleId);
+      }
+
+      for (const article of articles) {
+        const signature = await this.signatureFor(article);
+        if (this.documents.get(article.id)?.signature !== signature) {
+          await this.indexArticle(article, signature);
+          changed += 1;
+        }
+      }
+
+      this.lastRefresh = Date.now();
+      return changed;
+    })().finally(() => {
+      this.refreshing = null;
+    });
+
+    return this.refreshing;
+  }
+
+  async ensureFresh() {
+    if (Date.now() - this.lastRefresh >= REFRESH_INTERVAL_MS) {
+      await this.refresh();
+    }
+  }
+
+  /**
+   * Ranked search (all query terms must match a visible field)
+   *
+   * @param {string} query
+   * @param {Object} options
+   * @param {Function} options.canReadContent - (article) => boolean
+   * @param {Function} [options.isVisible] - (article) => boolean, e.g. released
+   * @param {number} [options.offset]
+   * @param {number} [options.limit]
+   * @returns {Promise<{ total: number, results: Array }>}
+   *   results: [{ article, score, matchedFields, snippet }]
+   */
+  async search(query, { canReadContent, isVisible = () => true, offset = 0, limit = 10 }) {
+    await this.ensureFresh();
+
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) return { total: 0, results: [] };
+
+    const articles = new Map(getArticles().map(article => [article.id, article]));
+    const totalDocuments = Math.max(1, this.documents.size);
+    const hits = [];
+
+    // Candidates: documents containing the rarest term
+    const [rarest] = [...terms].sort(
+      (a, b) => (this.postings.get(a)?.size || 0) - (this.postings.get(b)?.size || 0)
+    );
+
+    for (const articleId of this.postings.get(rarest) || []) {
+      const article = articles.get(articleId);
+      const document = this.documents.get(articleId);
+      if (!article || !document || !isVisible(article)) continue;
+
+      const fields = canReadContent(article)
+        ? [...PUBLIC_FIELDS, 'content']
+        : PUBLIC_FIELDS;
+
+      let score = 0;
+      const matchedFields = new Set();
+      const matchesAll = terms.every(term => {
+        const counts = document.termCounts.get(term);
+        if (!counts) return false;
+
+        const idf = Math.log(1 + totalDocuments / this.postings.get(term).size);
+        let matched = false;
+        for (const field of fields) {
+          if (!counts[field]) continue;
+          matched = true;
+          matchedFields.add(field);
+          score += idf * FIELD_WEIGHTS[field] * (1 + Math.log(counts[field]));
+        }
+        return matched;
+      });
+
+      if (!matchesAll) continue;
+
+      const snippetField = ['summary', 'content', 'title']
+        .find(field => matchedFields.has(field));
+
+      hits.push({
+        article,
+        score: Math.round(score * 1000) / 1000,
+        matchedFields: [...matchedFields],
+        snippet: buildSnippet(document.fields[snippetField], terms)
+      });
+    }
+
+    hits.sort((a, b) => b.score - a.score || a.article.title.localeCompare(b.article.title));
+
+    return {
+      total: hits.length,
+      results: hits.slice(offset, offset + limit)
+    };
+  }
+}
+
+// Shared instance used by the articles routes
+export const searchIndex = new SearchIndex();
+
+export default searchIndex;
@@ -0,0 +1,188 @@
+/**
+ * Persistent Session Store
+ *
+ * express-session store backed by the shared storage layer, so sessions
+ * survive restarts and can be listed/revoked per user.
+ *
+ * SCHEMA:
+ * Sessions: { id (sid), public_id, user_id, data, ip, user_agent,
+ *             created_at, last_active_at, expires_at }
+ *
+ * SECURITY:
+ * - The raw session id is the bearer secret in the cookie; it is never
+ *   sent back to clients. Listings expose `public_id` (a hash) instead.
+ * - Expired sessions are treated as missing and pruned periodically.
+ * - Records are only created for ids issued by regenerate() (login,
+ *   signup). A save for any other missing id is dropped, so a request
+ *   that was in flight when its session was revoked can't restore it.
+ */
+
+import crypto from 'crypto';
+import session from 'express-session';
+import { storage } from './storage/index.js';
+
+const sessions = storage.table('sessions');
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // Matches cookie maxAge in server.js
+const TOUCH_INTERVAL_MS = 60 * 1000; // Don't rewrite storage on every request
+const PRUNE_INTERVAL_MS = 15 * 60 * 1000;
+
+function publicIdFor(sid) {
+  return crypto.createHash('sha256').update(sid).digest('hex').slice(0, 24);
+}
+
+function expiryFor(sess) {
+  return sess.cookie?.expires
+    ? new Date(sess.cookie.expires)
+    : new Date(Date.now() + DEFAULT_TTL_MS);
+}
+
+function isExpired(record) {
+  return new Date(record.expires_at) <= new Date();
+}
+
+// Convert a callback-style store method body into an async one
+function withCallback(promise, callback = () => {}) {
+  promise.then(result => callback(null, result), callback);
+}
+
+export class SessionStore extends session.Store {
+  constructor() {
+    super();
+    this.pruneTimer = setInterval(() => {
+      this.prune().catch(error => console.error('Session prune error:', error));
+    }, PRUNE_INTERVAL_MS);
+    this.pruneTimer.unref();
+
+    // sid -> issue time, for regenerated sessions not saved yet
+    this.issuedSids = new Map();
+  }
+
+  regenerate(req, callback) {
+    this.destroy(req.sessionID, (error) => {
+      this.generate(req);
+      this.issuedSids.set(req.sessionID, Date.now());
+      callback(error);
+    });
+  }
+
+  get(sid, callback) {
+    withCallback((async () => {
+      const record = await sessions.get(sid);
+      if (!record) return null;
+
+      if (isExpired(record)) {
+        await sessions.remove(sid);
+        return null;
+      }
+      return record.data;
+    })(), callback);
+  }
+
+  set(sid, sess, callback) {
+    withCallback((async () => {
+      // Session data is stored as plain JSON (Cookie instances don't clone)
+      const data = JSON.parse(JSON.stringify(sess));
+      const now = new Date();
+      const changes = {
+        user_id: sess.userId || null,
+        data,
+        ip: sess.ip || null,
+        user_agent: sess.userAgent || null,
+        last_active_at: now,
+        expires_at: expiryFor(sess)
+      };
+
+      const updated = await sessions.update(sid, changes);
+      if (updated) return;
+
+      // Not in the store: new from regenerate(), or destroyed meanwhile
+      if (!this.issuedSids.delete(sid)) return;
+      await sessions.insert({
+        id: sid,
+        public_id: publicIdFor(sid),
+        created_at: now,
+        ...changes
+      });
+    })(), callback);
+  }
+
+  touch(sid, sess, callback) {
+    withCallback((async () => {
+      const record = await sessions.get(sid);
+      if (!record) return;
+
+      if (Date.now() - new Date(record.last_active_at) < TOUCH_INTERVAL_MS) {
+        return;
+      }
+
+      await sessions.update(sid, {
+        last_active_at: new Date(),
+        expires_at: expiryFor(sess)
+      });
+    })(), callback);
+  }
+
+  destroy(sid, callback) {
+    withCallback(sessions.remove(sid), callback);
+  }
+
+  /**
+   * Active sessions for a user, most recently used first
+   * @param {string} userId
+   * @returns {Promise<Array>}
+   */
+  async listByUserId(userId) {
+    const records = await sessions.filterBy({ user_id: userId });
+    return records
+      .filter(record => !isExpired(record))
+      .sort((a, b) => b.last_active_at - a.last_active_at);
+  }
+
+  /**
+   * Find a user's session by its public id
+   * @returns {Promise<Object|null>} Session record or null
+   */
+  async findByPublicId(userId, publicId) {
+    const records = await sessions.filterBy({ user_id: userId });
+    return records.find(record => record.public_id === publicId) || null;
+  }
+
+  /**
+   * Revoke every session for a user
+   * @param {string} userId
+   * @param {Object} [options]
+   * @param {string} [options.except] - Session id to keep (usually the current one)
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async destroyByUserId(userId, { except } = {}) {
+    const records = (await sessions.filterBy({ user_id: userId }))
+      .filter(record => record.id !== except);
+    for (const record of records) {
+      await sessions.remove(record.id);
+    }
+    return records.length;
+  }
+
+  /**
+   * Delete expired sessions
+   * @returns {Promise<number>} Number of sessions removed
+   */
+  async prune() {
+    // Regenerated sessions that were never saved
+    for (const [sid, issuedAt] of this.issuedSids) {
+      if (Date.now() - issuedAt > PRUNE_INTERVAL_MS) this.issuedSids.delete(sid);
+    }
+
+    const expired = await sessions.filter(isExpired);
+    for (const record of expired) {
+      await sessions.remove(record.id);
+    }
+    return expired.length;
+  }
+}
+
+// Shared instance used by server.js and the auth routes
+export const sessionStore = new SessionStore();
+
+export default sessionStore;
@@ -0,0 +1,174 @@
+/**
+ * File-Backed Storage Driver
+ *
+ * Embedded, zero-dependency persistence: data lives in memory (see
+ * memory.js) and the whole dataset is written to a JSON file after
+ * every mutation.
+ *
+ * DURABILITY:
+ * - Writes go to a temp file which is then renamed over the real one,
+ *   so a crash mid-write never leaves a truncated database
+ * - Writes are serialized; a mutation resolves only once it is on disk.
+ *   A failed write only fails its own mutation; the next one writes the
+ *   full snapshot again
+ * - One process per file: open() takes `<file>.lock` (holding its pid),
+ *   so a script can't write a snapshot the running server would later
+ *   overwrite. Locks left by dead processes are taken over.
+ */
+
+import fs from 'fs/promises';
+import { unlinkSync } from 'fs';
+import path from 'path';
+import { createMemoryDriver } from './memory.js';
+
+const MUTATIONS = ['insert', 'update', 'remove'];
+
+// Timestamps are stored as ISO strings; turn them back into Dates on load
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+function reviveDates(key, value) {
+  if (
+    typeof value === 'string' &&
+    (key.endsWith('_at') || key === 'timestamp') &&
+    ISO_DATE.test(value)
+  ) {
+    return new Date(value);
+  }
+  return value;
+}
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+const lockPathFor = (filePath) => `${filePath}.lock`;
+
+async function readLockPid(lockPath) {
+  try {
+    return Number.parseInt(await fs.readFile(lockPath, 'utf8'), 10) || null;
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+function lockedError(filePath, pid) {
+  const error = new Error(`Database ${filePath} is in use by process ${pid ?? 'unknown'}`);
+  error.code = 'DATABASE_LOCKED';
+  return error;
+}
+
+/**
+ * Take the lock file for a database
+ * @throws {Error} code DATABASE_LOCKED while another live process holds it
+ */
+async function acquireLock(filePath) {
+  const lockPath = lockPathFor(filePath);
+  const create = () => fs.writeFile(lockPath, String(process.pid), { flag: 'wx', mode: 0o600 });
+
+  try {
+    await create();
+    return;
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+  }
+
+  const pid = await readLockPid(lockPath);
+  if (pid && pid !== process.pid && isRunning(pid)) throw lockedError(filePath, pid);
+
+  // Stale lock: remove it and create a fresh one. Only one process can
+  // win that create; the others see the winner's lock.
+  await fs.rm(lockPath, { force: true });
+  try {
+    await create();
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+    throw lockedError(filePath, await readLockPid(lockPath));
+  }
+}
+
+export function createFileDriver(filePath) {
+  const memory = createMemoryDriver();
+  const lockPath = lockPathFor(filePath);
+  let pendingWrite = Promise.resolve();
+
+  async function writeSnapshot(contents) {
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, contents, { mode: 0o600 });
+    await fs.rename(tmpPath, filePath);
+  }
+
+  function persist() {
+    const contents = JSON.stringify(memory.snapshot());
+    const write = pendingWrite.then(() => writeSnapshot(contents));
+    pendingWrite = write.catch(() => {});
+    return write;
+  }
+
+  return {
+    ...memory,
+    name: 'file',
+
+    async open() {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await acquireLock(filePath);
+      process.on('exit', () => {
+        try {
+          unlinkSync(lockPath);
+        } catch {
+          // Already released by close()
+        }
+      });
+
+      try {
+        const contents = await fs.readFile(filePath, 'utf8');
+        memory.restore(JSON.parse(contents, reviveDates));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        await persist();
+      }
+    },
+
+    async close() {
+      await pendingWrite;
+      await fs.rm(lockPath, { force: true });
+    },
+
+    async createTable(name) {
+      await memory.createTable(name);
+      await persist();
+    },
+
+    async createIndex(name, fields) {
+      await memory.createIndex(name, fields);
+      await persist();
+    },
+
+    async setMeta(key, value) {
+      await memory.setMeta(key, value);
+      await persist();
+    },
+
+    table(name) {
+      const table = memory.table(name);
+
+      for (const method of MUTATIONS) {
+        const mutate = table[method];
+        table[method] = async (...args) => {
+          const result = await mutate(...args);
+          await persist();
+          return result;
+        };
+      }
+
+      return table;
+    }
+  };
+}
+
+export default createFileDriver;
@@ -0,0 +1,39 @@
+/**
+ * Storage Layer
+ *
+ * Single entry point for persistence. Models import `storage` from here
+ * and never talk to a concrete driver directly, so swapping drivers is
+ * a DATABASE_URL change (see config/database.js).
+ */
+
+import { getDatabaseConfig } from '../../config/database.js';
+import { createMemoryDriver } from './memory.js';
+import { createFileDriver } from './file.js';
+import { migrate } from './migrations.js';
+
+const DRIVERS = {
+  memory: () => createMemoryDriver(),
+  file: (config) => createFileDriver(config.path)
+};
+
+/**
+ * Open a driver and run pending migrations
+ * @param {Object} [config] - Output of getDatabaseConfig()
+ * @returns {Promise<Object>} Ready-to-use storage driver
+ */
+export async function openStorage(config = getDatabaseConfig()) {
+  const createDriver = DRIVERS[config.driver];
+  if (!createDriver) {
+    throw new Error(`Unknown storage driver: ${config.driver}`);
+  }
+
+  const driver = createDriver(config);
+  await driver.open();
+  await migrate(driver);
+  return driver;
+}
+
+// Shared instance used by all models
+export const storage = await openStorage();
+
+export default storage;
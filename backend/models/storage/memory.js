@@ -0,0 +1,238 @@
+/**
+ * In-Memory Storage Driver
+ *
+ * Keeps every table in a Map keyed by record id. Nothing survives a
+ * restart, which is exactly what tests want.
+ *
+ * Records are cloned on the way in and out so callers can't mutate
+ * stored state behind the driver's back (same semantics as a real DB).
+ *
+ * INDEXES:
+ * Secondary indexes map a tuple of field values to the set of matching
+ * record ids. They are declared by migrations (createIndex), kept up to
+ * date on insert/update/remove and rebuilt from data on restore, so
+ * findBy/filterBy cost depends on the number of matches, not table size.
+ */
+
+const clone = (value) => (value == null ? value : structuredClone(value));
+
+const indexName = (fields) => [...fields].sort().join('+');
+
+function indexKey(fields, source) {
+  return JSON.stringify(fields.map(field => {
+    const value = source[field];
+    return value instanceof Date ? value.toISOString() : value ?? null;
+  }));
+}
+
+export function createMemoryDriver() {
+  const tables = new Map();
+  const meta = new Map();
+  // table name -> index name -> { fields, entries: Map<key, Set<id>> }
+  const indexes = new Map();
+
+  function rows(name) {
+    const table = tables.get(name);
+    if (!table) {
+      throw new Error(`Unknown table: ${name}`);
+    }
+    return table;
+  }
+
+  function tableIndexes(name) {
+    return indexes.get(name)?.values() || [];
+  }
+
+  function addToIndexes(name, record) {
+    for (const index of tableIndexes(name)) {
+      const key = indexKey(index.fields, record);
+      if (!index.entries.has(key)) index.entries.set(key, new Set());
+      index.entries.get(key).add(record.id);
+    }
+  }
+
+  function removeFromIndexes(name, record) {
+    for (const index of tableIndexes(name)) {
+      const key = indexKey(index.fields, record);
+      const ids = index.entries.get(key);
+      if (!ids) continue;
+      ids.delete(record.id);
+      if (ids.size === 0) index.entries.delete(key);
+    }
+  }
+
+  function buildIndex(name, fields) {
+    const index = { fields: [...fields].sort(), entries: new Map() };
+    if (!indexes.has(name)) indexes.set(name, new Map());
+    indexes.get(name).set(indexName(fields), index);
+
+    for (const record of rows(name).values()) {
+      const key = indexKey(index.fields, record);
+      if (!index.entries.has(key)) index.entries.set(key, new Set());
+      index.entries.get(key).add(record.id);
+    }
+  }
+
+  /**
+   * Records matching every field in `criteria` (raw, not cloned)
+   * Uses an index covering exactly those fields, else scans the table
+   */
+  function* lookup(name, criteria) {
+    const fields = Object.keys(criteria);
+    const index = indexes.get(name)?.get(indexName(fields));
+
+    if (index) {
+      const ids = index.entries.get(indexKey(index.fields, criteria)) || [];
+      for (const id of ids) yield rows(name).get(id);
+      return;
+    }
+
+    const key = indexKey(fields, criteria);
+    for (const record of rows(name).values()) {
+      if (indexKey(fields, record) === key) yield record;
+    }
+  }
+
+  function table(name) {
+    return {
+      async get(id) {
+        return clone(rows(name).get(id) || null);
+      },
+
+      async insert(record) {
+        if (!record.id) {
+          throw new Error(`Cannot insert into ${name} without an id`);
+        }
+        const existing = rows(name).get(record.id);
+        if (existing) removeFromIndexes(name, existing);
+
+        const stored = clone(record);
+        rows(name).set(record.id, stored);
+        addToIndexes(name, stored);
+        return clone(record);
+      },
+
+      async update(id, changes) {
+        const current = rows(name).get(id);
+        if (!current) return null;
+
+        const updated = { ...current, ...clone(changes) };
+        removeFromIndexes(name, current);
+        rows(name).set(id, updated);
+        addToIndexes(name, updated);
+        return clone(updated);
+      },
+
+      async remove(id) {
+        const current = rows(name).get(id);
+        if (!current) return false;
+
+        removeFromIndexes(name, current);
+        return rows(name).delete(id);
+      },
+
+      /**
+       * First record whose fields equal `criteria` (indexed when possible)
+       * @param {Object} criteria - e.g. { email: 'a@b.com' }
+       */
+      async findBy(criteria) {
+        for (const record of lookup(name, criteria)) return clone(record);
+        return null;
+      },
+
+      /**
+       * All records whose fields equal `criteria` (indexed when possible)
+       * @param {Object} criteria - e.g. { user_id, status: 'active' }
+       */
+      async filterBy(criteria) {
+        return Array.from(lookup(name, criteria), clone);
+      },
+
+      async find(predicate) {
+        for (const record of rows(name).values()) {
+          if (predicate(record)) return clone(record);
+        }
+        return null;
+      },
+
+      async filter(predicate) {
+        const matches = [];
+        for (const record of rows(name).values()) {
+          if (predicate(record)) matches.push(clone(record));
+        }
+        return matches;
+      },
+
+      async all() {
+        return Array.from(rows(name).values(), clone);
+      }
+    };
+  }
+
+  return {
+    name: 'memory',
+
+    async open() {},
+
+    async close() {},
+
+    async createTable(name) {
+      if (!tables.has(name)) {
+        tables.set(name, new Map());
+      }
+    },
+
+    /**
+     * Declare a secondary index over one or more fields
+     * @param {string} name - Table name
+     * @param {string[]} fields - Fields looked up together by findBy/filterBy
+     */
+    async createIndex(name, fields) {
+      buildIndex(name, fields);
+    },
+
+    async getMeta(key) {
+      return meta.has(key) ? clone(meta.get(key)) : null;
+    },
+
+    async setMeta(key, value) {
+      meta.set(key, clone(value));
+    },
+
+    table,
+
+    /**
+     * Plain-object view of all data (used by the file driver)
+     */
+    snapshot() {
+      const data = { meta: Object.fromEntries(meta), tables: {}, indexes: {} };
+      for (const [name, records] of tables) {
+        data.tables[name] = Array.from(records.values());
+      }
+      for (const [name, tableIndexMap] of indexes) {
+        data.indexes[name] = Array.from(tableIndexMap.values(), index => index.fields);
+      }
+      return data;
+    },
+
+    /**
+     * Replace all data with a snapshot (used by the file driver)
+     */
+    restore(data) {
+      tables.clear();
+      meta.clear();
+      indexes.clear();
+      for (const [key, value] of Object.entries(data.meta || {})) {
+        meta.set(key, value);
+      }
+      for (const [name, records] of Object.entries(data.tables || {})) {
+        tables.set(name, new Map(records.map(record => [record.id, record])));
+      }
+      for (const [name, indexFields] of Object.entries(data.indexes || {})) {
+        for (const fields of indexFields) buildIndex(name, fields);
+      }
+    }
+  };
+}
+
+export default createMemoryDriver;
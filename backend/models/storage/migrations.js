@@ -0,0 +1,184 @@
+/**
+ * Schema Migrations
+ *
+ * Each migration runs exactly once per database, in version order.
+ * The applied version is stored in driver meta as `schema_version`.
+ *
+ * RULES:
+ * - Never edit a migration that has shipped; add a new one
+ * - Migrations must work on both the memory and file drivers
+ */
+
+export const migrations = [
+  {
+    version: 1,
+    name: 'create_core_tables',
+    async up(driver) {
+      await driver.createTable('users');
+      await driver.createTable('subscriptions');
+      await driver.createTable('payments');
+      await driver.createTable('audit');
+    }
+  },
+  {
+    version: 2,
+    name: 'create_sessions',
+    async up(driver) {
+      await driver.createTable('sessions');
+    }
+  },
+  {
+    version: 3,
+    name: 'add_lookup_indexes',
+    async up(driver) {
+      await driver.createIndex('users', ['email']);
+      await driver.createIndex('subscriptions', ['user_id']);
+      await driver.createIndex('subscriptions', ['user_id', 'status']);
+      await driver.createIndex('subscriptions', ['stripe_subscription_id']);
+      await driver.createIndex('payments', ['user_id']);
+      await driver.createIndex('payments', ['stripe_payment_intent_id']);
+      await driver.createIndex('audit', ['user_id']);
+      await driver.createIndex('sessions', ['user_id']);
+    }
+  },
+  {
+    version: 4,
+    name: 'create_article_usage',
+    async up(driver) {
+      await driver.createTable('article_usage');
+      await driver.createIndex('article_usage', ['subscription_id', 'period_start']);
+    }
+  },
+  {
+    version: 5,
+    name: 'create_watermarks',
+    async up(driver) {
+      await driver.createTable('watermarks');
+      await driver.createIndex('watermarks', ['user_id', 'article_id']);
+    }
+  },
+  {
+    version: 6,
+    name: 'create_api_keys',
+    async up(driver) {
+      await driver.createTable('api_keys');
+      await driver.createIndex('api_keys', ['user_id']);
+      await driver.createIndex('api_keys', ['key_hash']);
+    }
+  },
+  {
+    version: 7,
+    name: 'create_feed_tokens',
+    async up(driver) {
+      await driver.createTable('feed_tokens');
+      await driver.createIndex('feed_tokens', ['user_id']);
+      await driver.createIndex('feed_tokens', ['token_hash']);
+    }
+  },
+  {
+    version: 8,
+    name: 'create_reading_library',
+    async up(driver) {
+      await driver.createTable('bookmarks');
+      await driver.createIndex('bookmarks', ['user_id']);
+      await driver.createIndex('bookmarks', ['user_id', 'article_id']);
+      await driver.createTable('reading_progress');
+      await driver.createIndex('reading_progress', ['user_id']);
+      await driver.createIndex('reading_progress', ['user_id', 'article_id']);
+    }
+  },
+  {
+    version: 9,
+    name: 'create_article_revisions',
+    async up(driver) {
+      await driver.createTable('article_revisions');
+      await driver.createIndex('article_revisions', ['article_id']);
+    }
+  },
+  {
+    version: 10,
+    name: 'add_user_roles',
+    async up(driver) {
+      // Accounts listed in ADMIN_EMAILS (the old admin setting) stay admins
+      const admins = (process.env.ADMIN_EMAILS || '')
+        .split(',')
+        .map(email => email.trim().toLowerCase())
+        .filter(Boolean);
+
+      const users = driver.table('users');
+      for (const user of await users.all()) {
+        if (admins.includes(user.email.toLowerCase())) {
+          await users.update(user.id, { role: 'admin' });
+        } else if (!user.role) {
+          await users.update(user.id, { role: 'user' });
+        }
+      }
+      await driver.createIndex('users', ['role']);
+    }
+  },
+  {
+    version: 11,
+    name: 'create_password_resets',
+    async up(driver) {
+      await driver.createTable('password_resets');
+      await driver.createIndex('password_resets', ['user_id']);
+      await driver.createIndex('password_resets', ['token_hash']);
+    }
+  },
+  {
+    version: 12,
+    name: 'add_email_verification',
+    async up(driver) {
+      // Accounts that predate verification are treated as verified
+      const users = driver.table('users');
+      for (const user of await users.all()) {
+        if (user.email_verified_at === undefined) {
+          await users.update(user.id, { email_verified_at: user.created_at || new Date() });
+        }
+      }
+    }
+  },
+  {
+    version: 13,
+    name: 'create_login_attempts',
+    async up(driver) {
+      await driver.createTable('login_attempts');
+      await driver.createIndex('login_attempts', ['email']);
+      await driver.createIndex('login_attempts', ['unlock_token_hash']);
+    }
+  },
+  {
+    version: 14,
+    name: 'add_account_self_service',
+    async up(driver) {
+      await driver.createIndex('users', ['email_change_token_hash']);
+      await driver.createIndex('article_usage', ['user_id']);
+      await driver.createIndex('watermarks', ['user_id']);
+    }
+  }
+];
+
+/**
+ * Bring a driver's schema up to the latest version
+ * @param {Object} driver - Opened storage driver
+ * @returns {number} Schema version after migrating
+ */
+export async function migrate(driver) {
+  let version = (await driver.getMeta('schema_version')) || 0;
+
+  for (const migration of migrations) {
+    if (migration.version <= version) continue;
+
+    await migration.up(driver);
+    await driver.setMeta('schema_version', migration.version);
+    version = migration.version;
+
+    if (process.env.NODE_ENV !== 'test') {
+      console.log(`🗄️  Applied migration ${migration.version}: ${migration.name}`);
+    }
+  }
+
+  return version;
+}
+
+export default migrations;
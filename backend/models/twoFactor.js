@@ -0,0 +1,252 @@
+/**
+ * Two-Factor Authentication (TOTP, RFC 6238)
+ *
+ * Optional second factor for login: a 6-digit code from an
+ * authenticator app, or a one-time recovery code.
+ *
+ * ENROLLMENT: setup (pending secret + otpauth:// URI for the QR code)
+ * -> enable with a first code -> recovery codes shown once
+ *
+ * SECURITY:
+ * - Secrets are encrypted at rest (AES-256-GCM); unlike passwords they
+ *   must be readable to check codes
+ * - Codes accepted one step either side of now (clock drift), and each
+ *   time step only once (no replay)
+ * - Recovery codes are random and stored as SHA-256 hashes; each one
+ *   works once
+ * - Checking and burning a code is one serialized step per user, so
+ *   concurrent requests can't both use the same code
+ */
+
+import crypto from 'crypto';
+import { db } from './user.js';
+
+export const TOTP_ISSUER = 'Berlin-Benz';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DRIFT_STEPS = 1;
+
+export const RECOVERY_CODE_COUNT = 10;
+
+// user id -> tail of the queue of second-factor checks for that user
+const pendingChecks = new Map();
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function encryptionKey() {
+  const secret = process.env.TWO_FACTOR_SECRET || process.env.SESSION_SECRET;
+  if (!secret) {
+    throw new Error('TWO_FACTOR_SECRET (or SESSION_SECRET) must be set to use two-factor auth');
+  }
+  return crypto.createHash('sha256').update(`two-factor\n${secret}`).digest();
+}
+
+/**
+ * Encrypt a base32 secret for storage
+ * @param {string} secret
+ * @returns {string} "v1:<iv>:<tag>:<ciphertext>" (base64url parts)
+ */
+export function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return ['v1', iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64url') : part))
+    .join(':');
+}
+
+/**
+ * @param {string} stored - From encryptSecret()
+ * @returns {string} The base32 secret
+ */
+export function decryptSecret(stored) {
+  const [version, iv, tag, ciphertext] = stored.split(':');
+  if (version !== 'v1') throw new Error(`Unknown two-factor secret format: ${version}`);
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64url')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+/**
+ * New random secret (160 bits, the RFC 4226 recommendation)
+ * @returns {string} base32
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Provisioning URI for authenticator apps (render it as a QR code)
+ * @param {string} secret - base32
+ * @param {string} email - Account label shown in the app
+ * @returns {string}
+ */
+export function getProvisioningUri(secret, email) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+function codeForStep(key, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Check a TOTP code
+ * @param {string} secret - base32
+ * @param {string} code - From the user
+ * @param {Object} [options]
+ * @param {number|null} [options.lastStep] - Last accepted step (replay guard)
+ * @param {number} [options.now] - ms timestamp
+ * @returns {number|null} The matching time step, or null if invalid
+ */
+export function verifyTotp(secret, code, { lastStep = null, now = Date.now() } = {}) {
+  const normalized = String(code ?? '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const key = base32Decode(secret);
+  const currentStep = Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+
+  for (let drift = -TOTP_DRIFT_STEPS; drift <= TOTP_DRIFT_STEPS; drift++) {
+    const step = currentStep + drift;
+    if (lastStep !== null && step <= lastStep) continue;
+
+    const expected = Buffer.from(codeForStep(key, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+export function hashRecoveryCode(code) {
+  const normalized = String(code ?? '').replace(/[\s-]/g, '').toUpperCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Fresh set of recovery codes, e.g. "K7QF-2M9X-PLZ4"
+ * @returns {{ codes: string[], hashes: string[] }}
+ */
+export function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    base32Encode(crypto.randomBytes(8)).slice(0, 12).match(/.{4}/g).join('-'));
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Whether an account has two-factor auth turned on
+ * @param {Object} user
+ * @returns {boolean}
+ */
+export function isTwoFactorEnabled(user) {
+  return Boolean(user?.totp_enabled_at && user.totp_secret);
+}
+
+/**
+ * Check a second factor for an account with 2FA enabled, and record
+ * its use (TOTP step for replay protection, or burn the recovery code)
+ *
+ * Checks for one user run one at a time against a fresh copy of the
+ * account, so a code can't be used twice by parallel requests.
+ *
+ * @param {Object} user
+ * @param {Object} input
+ * @param {string} [input.code] - 6-digit TOTP code
+ * @param {string} [input.recoveryCode]
+ * @returns {Promise<'totp'|'recovery_code'|null>} Method used, or null if invalid
+ */
+export function checkSecondFactor(user, input) {
+  const run = (pendingChecks.get(user.id) || Promise.resolve())
+    .then(async () => {
+      const current = await db.users.findById(user.id);
+      return isTwoFactorEnabled(current) ? redeemSecondFactor(current, input) : null;
+    });
+
+  const tail = run.catch(() => {});
+  pendingChecks.set(user.id, tail);
+  tail.then(() => {
+    if (pendingChecks.get(user.id) === tail) pendingChecks.delete(user.id);
+  });
+  return run;
+}
+
+async function redeemSecondFactor(user, { code, recoveryCode }) {
+  if (code) {
+    const step = verifyTotp(decryptSecret(user.totp_secret), code, {
+      lastStep: user.totp_last_step ?? null
+    });
+    if (step === null) return null;
+
+    await db.users.updateTwoFactor(user.id, { totp_last_step: step });
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const remaining = user.recovery_code_hashes || [];
+    if (!remaining.includes(hash)) return null;
+
+    await db.users.updateTwoFactor(user.id, {
+      recovery_code_hashes: remaining.filter(candidate => candidate !== hash)
+    });
+    return 'recovery_code';
+  }
+
+  return null;
+}
+
+export default verifyTotp;
@@ -0,0 +1,141 @@
+/**
+ * Article Quota Metering
+ *
+ * Enforces each plan's `articles_limit` as a per-period quota:
+ * - Counts DISTINCT articles opened per billing period
+ * - Re-opening an article already counted this period is free
+ * - `articles_limit: -1` means unlimited (usage is still recorded)
+ *
+ * Billing periods are 30-day windows anchored at the subscription's
+ * creation time, so a 30-day plan has exactly one period and an annual
+ * plan resets monthly.
+ *
+ * Charges for one subscription are serialized, so parallel downloads
+ * can't all pass the same quota check or count an article twice.
+ */
+
+import { db } from './user.js';
+import { getPlan } from '../config/plans.js';
+
+const PERIOD_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const POPULARITY_TTL_MS = 5 * 60 * 1000;
+
+let popularityCache = null; // { at, counts: Map<articleId, readers> }
+
+// subscription id -> tail of the queue of quota charges for it
+const pendingCharges = new Map();
+
+/**
+ * Current billing period for a subscription
+ * @param {Object} subscription
+ * @param {Date} [now]
+ * @returns {{ start: Date, end: Date }}
+ */
+export function getBillingPeriod(subscription, now = new Date()) {
+  const anchor = new Date(subscription.created_at).getTime();
+  const length = PERIOD_DAYS * DAY_MS;
+  const index = Math.max(0, Math.floor((now.getTime() - anchor) / length));
+  const start = new Date(anchor + index * length);
+
+  return { start, end: new Date(start.getTime() + length) };
+}
+
+function summarize(plan, period, used) {
+  const unlimited = plan.articles_limit === -1;
+
+  return {
+    planId: plan.id,
+    limit: unlimited ? null : plan.articles_limit,
+    used,
+    remaining: unlimited ? null : Math.max(0, plan.articles_limit - used),
+    unlimited,
+    periodStart: period.start,
+    periodEnd: period.end
+  };
+}
+
+/**
+ * Used/remaining counts for the subscription's current period
+ * @param {Object} subscription
+ * @returns {Promise<Object>} { planId, limit, used, remaining, unlimited, periodStart, periodEnd }
+ */
+export async function getUsageSummary(subscription) {
+  const plan = getPlan(subscription.plan_id);
+  const period = getBillingPeriod(subscription);
+  const records = await db.usage.findByPeriod(subscription.id, period.start);
+
+  return summarize(plan, period, records.length);
+}
+
+/**
+ * Charge opened articles against the quota
+ *
+ * All-or-nothing: if the not-yet-counted articles don't fit in the
+ * remaining quota, nothing is recorded.
+ *
+ * @param {Object} subscription
+ * @param {string[]} articleIds
+ * @returns {Promise<{ allowed: boolean, usage: Object }>}
+ */
+export function consumeArticleQuota(subscription, articleIds) {
+  const run = (pendingCharges.get(subscription.id) || Promise.resolve())
+    .then(() => chargeArticles(subscription, articleIds));
+
+  const tail = run.catch(() => {});
+  pendingCharges.set(subscription.id, tail);
+  tail.then(() => {
+    if (pendingCharges.get(subscription.id) === tail) pendingCharges.delete(subscription.id);
+  });
+  return run;
+}
+
+// Check and record in one step (runs inside the subscription's queue)
+async function chargeArticles(subscription, articleIds) {
+  const plan = getPlan(subscription.plan_id);
+  if (!plan) {
+    throw new Error(`Subscription ${subscription.id} has unknown plan ${subscription.plan_id}`);
+  }
+
+  const period = getBillingPeriod(subscription);
+  const records = await db.usage.findByPeriod(subscription.id, period.start);
+  const counted = new Set(records.map(record => record.article_id));
+  const uncounted = [...new Set(articleIds)].filter(id => !counted.has(id));
+
+  const unlimited = plan.articles_limit === -1;
+  if (!unlimited && counted.size + uncounted.length > plan.articles_limit) {
+    return { allowed: false, usage: summarize(plan, period, counted.size) };
+  }
+
+  for (const articleId of uncounted) {
+    await db.usage.record(subscription, articleId, period.start);
+  }
+
+  return {
+    allowed: true,
+    usage: summarize(plan, period, counted.size + uncounted.length)
+  };
+}
+
+/**
+ * Distinct readers per article, all time (for sort=popular)
+ * Full scan of the usage table, so cached for a few minutes
+ * @returns {Promise<Map<string, number>>}
+ */
+export async function getArticlePopularity() {
+  if (popularityCache && Date.now() - popularityCache.at < POPULARITY_TTL_MS) {
+    return popularityCache.counts;
+  }
+
+  const readers = new Map(); // articleId -> Set<userId>
+  for (const record of await db.usage.all()) {
+    if (!readers.has(record.article_id)) readers.set(record.article_id, new Set());
+    readers.get(record.article_id).add(record.user_id);
+  }
+
+  const counts = new Map([...readers].map(([articleId, users]) => [articleId, users.size]));
+  popularityCache = { at: Date.now(), counts };
+  return counts;
+}
+
+export default getUsageSummary;
@@ -1,65 +1,161 @@
 /**
- * Database Models - In-Memory Implementation
- * 
- * Replace with MongoDB/PostgreSQL in production.
- * This is for development only.
- * 
+ * Database Models
+ *
+ * Async data API used by every route. Persistence is delegated to the
+ * storage layer (models/storage), selected via DATABASE_URL:
+ * - memory:// for tests
+ * - file://   for development and small deployments
+ *
  * SCHEMA:
- * Users: { id, email, password_hash, name, created_at }
- * Subscriptions: { id, user_id, plan_id, stripe_subscription_id, status, expires_at }
- * Payments: { id, user_id, stripe_payment_intent_id, amount, status, plan_id, created_at }
+ * Users: { id, email, password_hash, name, role, email_verified_at, verification_sent_at,
+ *   totp_secret, totp_pending_secret, totp_enabled_at, totp_last_step, recovery_code_hashes,
+ *   pending_email, email_change_token_hash, email_change_expires_at, created_at }
+ * Subscriptions: { id, user_id, plan_id, stripe_subscription_id, status, expires_at, anonymized_at }
+ * Payments: { id, user_id, stripe_payment_intent_id, amount, status, plan_id, anonymized_at, created_at }
  * AuditLog: { id, user_id, action, details, created_at }
+ * ArticleUsage: { id, subscription_id, user_id, article_id, period_start, opened_at }
+ * Watermarks: { id (download id), user_id, article_id, source_etag, file_path, created_at }
+ * ApiKeys: { id, user_id, name, prefix, key_hash, scopes, rate_limit, created_at, last_used_at, revoked_at }
+ * FeedTokens: { id, user_id, prefix, token_hash, created_at, revoked_at }
+ * Bookmarks: { id, user_id, article_id, created_at }
+ * ReadingProgress: { id, user_id, article_id, page, total_pages, percent, last_opened_at, updated_at }
+ * PasswordResets: { id, user_id, token_hash, expires_at, used_at, created_at }
+ * LoginAttempts: { id, email, failures, lockouts, last_failure_at, locked_until, unlock_token_hash, created_at }
+ * ArticleRevisions: { id, article_id, action, entry, changes, author_id, rolled_back_to, created_at }
  */
 
-const users = new Map();
-const subscriptions = new Map();
-const payments = new Map();
-const auditLog = [];
+import { v4 as uuidv4 } from 'uuid';
+import { storage } from './storage/index.js';
+import { DEFAULT_ROLE } from '../config/roles.js';
+
+const users = storage.table('users');
+const subscriptions = storage.table('subscriptions');
+const payments = storage.table('payments');
+const auditLog = storage.table('audit');
+const articleUsage = storage.table('article_usage');
+const watermarks = storage.table('watermarks');
+const apiKeys = storage.table('api_keys');
+const feedTokens = storage.table('feed_tokens');
+const bookmarks = storage.table('bookmarks');
+const readingProgress = storage.table('reading_progress');
+const articleRevisions = storage.table('article_revisions');
+const passwordResets = storage.table('password_resets');
+const loginAttempts = storage.table('login_attempts');
+
+// Delete every record in a table that belongs to a user
+async function removeByUserId(table, userId) {
+  const records = await table.filterBy({ user_id: userId });
+  for (const record of records) {
+    await table.remove(record.id);
+  }
+  return records.length;
+}
 
 export const db = {
   // USER OPERATIONS
   users: {
     async create(email, passwordHash, name) {
-      const id = Math.random().toString(36).substring(7);
-      const user = {
-        id,
+      return users.insert({
+        id: uuidv4(),
         email,
         password_hash: passwordHash,
         name,
+        role: DEFAULT_ROLE,
+        email_verified_at: null,
+        verification_sent_at: null,
         created_at: new Date(),
         updated_at: new Date()
-      };
-      users.set(email, user);
-      return user;
+      });
     },
 
     async findByEmail(email) {
-      return users.get(email) || null;
+      return users.findBy({ email });
     },
 
     async findById(id) {
-      for (const user of users.values()) {
-        if (user.id === id) return user;
-      }
-      return null;
+      return users.get(id);
     },
 
     async updateLastLogin(userId) {
-      for (const user of users.values()) {
-        if (user.id === userId) {
-          user.last_login = new Date();
-          return user;
-        }
-      }
+      return users.update(userId, { last_login: new Date() });
+    },
+
+    async findByRole(role) {
+      return users.filterBy({ role });
+    },
+
+    async updateRole(userId, role) {
+      return users.update(userId, { role, updated_at: new Date() });
+    },
+
+    async markEmailVerified(userId) {
+      return users.update(userId, { email_verified_at: new Date(), updated_at: new Date() });
+    },
+
+    async markVerificationSent(userId) {
+      return users.update(userId, { verification_sent_at: new Date() });
+    },
+
+    /**
+     * Update two-factor fields (see models/twoFactor.js)
+     * @param {Object} fields - Any of { totp_secret, totp_pending_secret,
+     *   totp_enabled_at, totp_last_step, recovery_code_hashes }
+     */
+    async updateTwoFactor(userId, fields) {
+      return users.update(userId, { ...fields, updated_at: new Date() });
+    },
+
+    async updatePassword(userId, passwordHash) {
+      return users.update(userId, {
+        password_hash: passwordHash,
+        password_changed_at: new Date(),
+        updated_at: new Date()
+      });
+    },
+
+    async updateProfile(userId, { name }) {
+      return users.update(userId, { name, updated_at: new Date() });
+    },
+
+    /**
+     * Park a new address until the link sent to it is opened
+     * (see models/account.js)
+     */
+    async startEmailChange(userId, pendingEmail, tokenHash, expiresAt) {
+      return users.update(userId, {
+        pending_email: pendingEmail,
+        email_change_token_hash: tokenHash,
+        email_change_expires_at: expiresAt,
+        updated_at: new Date()
+      });
+    },
+
+    async findByEmailChangeHash(tokenHash) {
+      return users.findBy({ email_change_token_hash: tokenHash });
+    },
+
+    // The confirmation link proved the new address, so it counts as verified
+    async changeEmail(userId, email) {
+      return users.update(userId, {
+        email,
+        email_verified_at: new Date(),
+        pending_email: null,
+        email_change_token_hash: null,
+        email_change_expires_at: null,
+        updated_at: new Date()
+      });
+    },
+
+    async remove(userId) {
+      return users.remove(userId);
     }
   },
 
   // SUBSCRIPTION OPERATIONS
   subscriptions: {
     async create(userId, planId, stripeSubscriptionId, expiresAt) {
-      const id = Math.random().toString(36).substring(7);
-      const subscription = {
-        id,
+      return subscriptions.insert({
+        id: uuidv4(),
         user_id: userId,
         plan_id: planId,
         stripe_subscription_id: stripeSubscriptionId,
@@ -67,64 +163,65 @@ export const db = {
         expires_at: expiresAt,
         created_at: new Date(),
         updated_at: new Date()
-      };
-      subscriptions.set(id, subscription);
-      return subscription;
+      });
     },
 
     async findByUserId(userId) {
-      const userSubs = [];
-      for (const sub of subscriptions.values()) {
-        if (sub.user_id === userId) {
-          userSubs.push(sub);
-        }
-      }
-      return userSubs;
+      return subscriptions.filterBy({ user_id: userId });
     },
 
     async findActiveByUserId(userId) {
-      const subs = await db.subscriptions.findByUserId(userId);
-      return subs.filter(
-        sub => sub.status === 'active' && new Date(sub.expires_at) > new Date()
-      );
+      const subs = await subscriptions.filterBy({
+        user_id: userId,
+        status: 'active'
+      });
+      return subs.filter(sub => new Date(sub.expires_at) > new Date());
     },
 
     async findByStripeId(stripeSubscriptionId) {
-      for (const sub of subscriptions.values()) {
-        if (sub.stripe_subscription_id === stripeSubscriptionId) {
-          return sub;
-        }
-      }
-      return null;
+      return subscriptions.findBy({
+        stripe_subscription_id: stripeSubscriptionId
+      });
     },
 
     async updateStatus(subscriptionId, status) {
-      const sub = subscriptions.get(subscriptionId);
-      if (sub) {
-        sub.status = status;
-        sub.updated_at = new Date();
-        return sub;
-      }
-      return null;
+      return subscriptions.update(subscriptionId, {
+        status,
+        updated_at: new Date()
+      });
     },
 
     async cancel(subscriptionId) {
-      const sub = subscriptions.get(subscriptionId);
-      if (sub) {
-        sub.status = 'cancelled';
-        sub.cancelled_at = new Date();
-        return sub;
+      return subscriptions.update(subscriptionId, {
+        status: 'cancelled',
+        cancelled_at: new Date()
+      });
+    },
+
+    /**
+     * Detach a user's subscriptions from the account and from Stripe
+     * (plan and dates are kept for accounting)
+     * @returns {Promise<number>} Number of subscriptions anonymized
+     */
+    async anonymizeForUser(userId) {
+      const records = await subscriptions.filterBy({ user_id: userId });
+      for (const record of records) {
+        await subscriptions.update(record.id, {
+          user_id: null,
+          stripe_subscription_id: null,
+          anonymized_at: new Date(),
+          updated_at: new Date()
+        });
       }
-      return null;
+      return records.length;
     }
   },
 
   // PAYMENT OPERATIONS
   payments: {
     async create(userId, planId, stripePaymentIntentId, amount) {
-      const id = Math.random().toString(36).substring(7);
-      const payment = {
-        id,
+      return payments.insert({
+        id: uuidv4(),
         user_id: userId,
         plan_id: planId,
         stripe_payment_intent_id: stripePaymentIntentId,
@@ -132,46 +229,367 @@ export const db = {
         status: 'pending',
         created_at: new Date(),
         updated_at: new Date()
-      };
-      payments.set(id, payment);
-      return payment;
+      });
     },
 
     async findByStripeId(stripePaymentIntentId) {
-      for (const payment of payments.values()) {
-        if (payment.stripe_payment_intent_id === stripePaymentIntentId) {
-          return payment;
-        }
-      }
-      return null;
+      return payments.findBy({
+        stripe_payment_intent_id: stripePaymentIntentId
+      });
     },
 
     async updateStatus(paymentId, status) {
-      const payment = payments.get(paymentId);
-      if (payment) {
-        payment.status = status;
-        payment.updated_at = new Date();
-        return payment;
+      return payments.update(paymentId, {
+        status,
+        updated_at: new Date()
+      });
+    },
+
+    async findByUserId(userId) {
+      const userPayments = await payments.filterBy({ user_id: userId });
+      return userPayments.sort((a, b) => b.created_at - a.created_at);
+    },
+
+    /**
+     * Detach a user's payments from the account (kept for accounting)
+     * @returns {Promise<number>} Number of payments anonymized
+     */
+    async anonymizeForUser(userId) {
+      const records = await payments.filterBy({ user_id: userId });
+      for (const record of records) {
+        await payments.update(record.id, {
+          user_id: null,
+          anonymized_at: new Date(),
+          updated_at: new Date()
+        });
+      }
+      return records.length;
+    }
+  },
+
+  // ARTICLE USAGE (metered quota, one row per distinct article per period)
+  usage: {
+    async findByPeriod(subscriptionId, periodStart) {
+      return articleUsage.filterBy({
+        subscription_id: subscriptionId,
+        period_start: periodStart
+      });
+    },
+
+    async record(subscription, articleId, periodStart) {
+      return articleUsage.insert({
+        id: uuidv4(),
+        subscription_id: subscription.id,
+        user_id: subscription.user_id,
+        article_id: articleId,
+        period_start: periodStart,
+        opened_at: new Date()
+      });
+    },
+
+    async all() {
+      return articleUsage.all();
+    },
+
+    async removeByUserId(userId) {
+      return removeByUserId(articleUsage, userId);
+    }
+  },
+
+  // WATERMARKED COPIES (per-subscriber PDFs, see models/watermark.js)
+  watermarks: {
+    async create(id, userId, articleId, sourceEtag, filePath) {
+      return watermarks.insert({
+        id,
+        user_id: userId,
+        article_id: articleId,
+        source_etag: sourceEtag,
+        file_path: filePath,
+        created_at: new Date()
+      });
+    },
+
+    async findById(id) {
+      return watermarks.get(id);
+    },
+
+    async findCurrent(userId, articleId, sourceEtag) {
+      const copies = await watermarks.filterBy({
+        user_id: userId,
+        article_id: articleId
+      });
+      return copies.find(copy => copy.source_etag === sourceEtag) || null;
+    },
+
+    async removeByUserId(userId) {
+      return removeByUserId(watermarks, userId);
+    }
+  },
+
+  // API KEYS (hashes only, see models/apiKey.js)
+  apiKeys: {
+    async create(userId, { name, prefix, hash, scopes, rateLimit }) {
+      return apiKeys.insert({
+        id: uuidv4(),
+        user_id: userId,
+        name,
+        prefix,
+        key_hash: hash,
+        scopes,
+        rate_limit: rateLimit,
+        created_at: new Date(),
+        last_used_at: null,
+        revoked_at: null
+      });
+    },
+
+    async findByHash(hash) {
+      return apiKeys.findBy({ key_hash: hash });
+    },
+
+    async findById(id) {
+      return apiKeys.get(id);
+    },
+
+    async findByUserId(userId) {
+      const keys = await apiKeys.filterBy({ user_id: userId });
+      return keys.sort((a, b) => b.created_at - a.created_at);
+    },
+
+    async touch(keyId) {
+      return apiKeys.update(keyId, { last_used_at: new Date() });
+    },
+
+    async revoke(keyId) {
+      return apiKeys.update(keyId, { revoked_at: new Date() });
+    },
+
+    async removeByUserId(userId) {
+      return removeByUserId(apiKeys, userId);
+    }
+  },
+
+  // PERSONAL FEED TOKEN OPERATIONS
+  feedTokens: {
+    async create(userId, { prefix, hash }) {
+      return feedTokens.insert({
+        id: uuidv4(),
+        user_id: userId,
+        prefix,
+        token_hash: hash,
+        created_at: new Date(),
+        revoked_at: null
+      });
+    },
+
+    async findByHash(hash) {
+      return feedTokens.findBy({ token_hash: hash });
+    },
+
+    async findActiveByUserId(userId) {
+      const tokens = await feedTokens.filterBy({ user_id: userId });
+      return tokens.find(token => !token.revoked_at) || null;
+    },
+
+    async revoke(tokenId) {
+      return feedTokens.update(tokenId, { revoked_at: new Date() });
+    },
+
+    async removeByUserId(userId) {
+      return removeByUserId(feedTokens, userId);
+    }
+  },
+
+  // BOOKMARKS (reading list)
+  bookmarks: {
+    async create(userId, articleId) {
+      return bookmarks.insert({
+        id: uuidv4(),
+        user_id: userId,
+        article_id: articleId,
+        created_at: new Date()
+      });
+    },
+
+    async find(userId, articleId) {
+      return bookmarks.findBy({ user_id: userId, article_id: articleId });
+    },
+
+    async findByUserId(userId) {
+      const records = await bookmarks.filterBy({ user_id: userId });
+      return records.sort((a, b) => b.created_at - a.created_at);
+    },
+
+    async remove(bookmarkId) {
+      return bookmarks.remove(bookmarkId);
+    },
+
+    async removeByUserId(userId) {
+      return removeByUserId(bookmarks, userId);
+    }
+  },
+
+  // READING PROGRESS (continue reading + history)
+  progress: {
+    async find(userId, articleId) {
+      return readingProgress.findBy({ user_id: userId, article_id: articleId });
+    },
+
+    async findByUserId(userId) {
+      const records = await readingProgress.filterBy({ user_id: userId });
+      return records.sort((a, b) => b.last_opened_at - a.last_opened_at);
+    },
+
+    /**
+     * Create or update the user's progress on an article
+     * @param {Object} fields - Any of { page, total_pages, percent, last_opened_at }
+     */
+    async save(userId, articleId, fields) {
+      const existing = await readingProgress.findBy({ user_id: userId, article_id: articleId });
+      if (existing) {
+        return readingProgress.update(existing.id, { ...fields, updated_at: new Date() });
       }
-      return null;
+      return readingProgress.insert({
+        id: uuidv4(),
+        user_id: userId,
+        article_id: articleId,
+        page: 1,
+        total_pages: null,
+        percent: 0,
+        last_opened_at: new Date(),
+        ...fields,
+        updated_at: new Date()
+      });
+    },
+
+    async remove(progressId) {
+      return readingProgress.remove(progressId);
+    },
+
+    async removeByUserId(userId) {
+      return removeByUserId(readingProgress, userId);
+    }
+  },
+
+  // PASSWORD RESET TOKENS (hashed, single use)
+  passwordResets: {
+    async create(userId, tokenHash, expiresAt) {
+      return passwordResets.insert({
+        id: uuidv4(),
+        user_id: userId,
+        token_hash: tokenHash,
+        expires_at: expiresAt,
+        used_at: null,
+        created_at: new Date()
+      });
     },
 
+    async findByHash(tokenHash) {
+      return passwordResets.findBy({ token_hash: tokenHash });
+    },
+
+    // Newest first
     async findByUserId(userId) {
-      const userPayments = [];
-      for (const payment of payments.values()) {
-        if (payment.user_id === userId) {
-          userPayments.push(payment);
-        }
+      const records = await passwordResets.filterBy({ user_id: userId });
+      return records.sort((a, b) => b.created_at - a.created_at);
+    },
+
+    async markUsed(resetId) {
+      return passwordResets.update(resetId, { used_at: new Date() });
+    },
+
+    /**
+     * Invalidate every unused token for a user
+     * @returns {Promise<number>} Number of tokens invalidated
+     */
+    async invalidateForUser(userId) {
+      const records = (await passwordResets.filterBy({ user_id: userId }))
+        .filter(record => !record.used_at);
+      for (const record of records) {
+        await passwordResets.update(record.id, { used_at: new Date() });
       }
-      return userPayments.sort((a, b) => b.created_at - a.created_at);
+      return records.length;
+    },
+
+    async removeByUserId(userId) {
+      return removeByUserId(passwordResets, userId);
+    }
+  },
+
+  // FAILED LOGINS PER EMAIL (see models/loginThrottle.js)
+  loginAttempts: {
+    async findByEmail(email) {
+      return loginAttempts.findBy({ email });
+    },
+
+    async findByUnlockHash(tokenHash) {
+      return loginAttempts.findBy({ unlock_token_hash: tokenHash });
+    },
+
+    /**
+     * Create or update the record for an email
+     * @param {Object} fields - Any of { failures, lockouts, last_failure_at,
+     *   locked_until, unlock_token_hash }
+     */
+    async save(email, fields) {
+      const existing = await loginAttempts.findBy({ email });
+      if (existing) {
+        return loginAttempts.update(existing.id, fields);
+      }
+      return loginAttempts.insert({
+        id: uuidv4(),
+        email,
+        failures: 0,
+        lockouts: 0,
+        last_failure_at: null,
+        locked_until: null,
+        unlock_token_hash: null,
+        created_at: new Date(),
+        ...fields
+      });
+    },
+
+    async remove(id) {
+      return loginAttempts.remove(id);
+    }
+  },
+
+  // ARTICLE REVISIONS (immutable catalog history, see models/revision.js)
+  revisions: {
+    /**
+     * @param {Object} revision - { id, article_id, action, entry, changes,
+     *   author_id, rolled_back_to, created_at }; the id is chosen by the
+     *   caller because the catalog references it before it is recorded
+     */
+    async create(revision) {
+      return articleRevisions.insert({
+        rolled_back_to: null,
+        created_at: new Date(),
+        ...revision
+      });
+    },
+
+    async findById(revisionId) {
+      return articleRevisions.get(revisionId);
+    },
+
+    // Oldest first
+    async findByArticleId(articleId) {
+      const records = await articleRevisions.filterBy({ article_id: articleId });
+      return records.sort((a, b) => a.created_at - b.created_at);
+    },
+
+    // Only for a revision whose catalog write failed; history is never edited
+    async remove(revisionId) {
+      return articleRevisions.remove(revisionId);
     }
   },
 
   // AUDIT LOGGING
   audit: {
     async log(userId, action, details = {}) {
-      auditLog.push({
-        id: Math.random().toString(36).substring(7),
+      await auditLog.insert({
+        id: uuidv4(),
         user_id: userId,
         action,
         details,
@@ -181,10 +599,12 @@ export const db = {
     },
 
     async getByUserId(userId, limit = 50) {
-      return auditLog
-        .filter(log => log.user_id === userId)
-        .reverse()
-        .slice(0, limit);
+      const entries = await auditLog.filterBy({ user_id: userId });
+      return entries.reverse().slice(0, limit);
+    },
+
+    async removeByUserId(userId) {
+      return removeByUserId(auditLog, userId);
     }
   }
 };
@@ -0,0 +1,152 @@
+/**
+ * Per-Subscriber PDF Watermarking
+ *
+ * Every PDF a subscriber receives is stamped so a leaked copy can be
+ * traced back to the download that produced it:
+ * - Footer on every page: email, account id, download id
+ * - Document metadata (Subject/Keywords) carries the same ids
+ *
+ * CACHING:
+ * One stamped copy per (user, article, source file version) is rendered
+ * and reused, so repeat downloads and byte-range requests don't
+ * re-render. The copy's download id is recorded in db.watermarks and in
+ * the audit log of every download that serves it.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import { db } from './user.js';
+import { getFileEtag } from '../utils/fileResponse.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CACHE_DIR = process.env.WATERMARK_CACHE_DIR
+  ? path.resolve(process.env.WATERMARK_CACHE_DIR)
+  : path.join(__dirname, '../data/watermarks');
+
+const FOOTER_SIZE = 7;
+
+// `${userId}:${articleId}:${sourceEtag}` -> Promise<copy>, avoids double renders
+const inFlight = new Map();
+
+// Standard fonts only encode WinAnsi; replace anything else
+const printable = (text) => String(text).replace(/[^\x20-\x7E]/g, '?');
+
+/**
+ * Render a stamped copy of a PDF
+ * @param {Buffer} source - Original PDF bytes
+ * @param {Object} stamp - { email, userId, downloadId }
+ * @returns {Promise<Uint8Array>}
+ */
+export async function stampPdf(source, { email, userId, downloadId }) {
+  const pdf = await PDFDocument.load(source);
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const footer = printable(
+    `Licensed to ${email} | Account ${userId} | Download ${downloadId}`
+  );
+
+  for (const page of pdf.getPages()) {
+    const { width } = page.getSize();
+    const textWidth = font.widthOfTextAtSize(footer, FOOTER_SIZE);
+
+    page.drawText(footer, {
+      x: Math.max(10, (width - textWidth) / 2),
+      y: 10,
+      size: FOOTER_SIZE,
+      font,
+      color: rgb(0.45, 0.45, 0.45)
+    });
+  }
+
+  pdf.setSubject(printable(`Licensed to ${email}`));
+  pdf.setKeywords([
+    `account:${userId}`,
+    `download:${downloadId}`
+  ]);
+  pdf.setModificationDate(new Date());
+
+  return pdf.save();
+}
+
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function renderCopy(user, article, sourceEtag) {
+  const downloadId = uuidv4();
+  const source = await fs.readFile(article.filePath);
+  const stamped = await stampPdf(source, {
+    email: user.email,
+    userId: user.id,
+    downloadId
+  });
+
+  const etagHash = crypto.createHash('sha256').update(sourceEtag).digest('hex').slice(0, 16);
+  const filePath = path.join(CACHE_DIR, user.id, `${article.id}-${etagHash}.pdf`);
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(tmpPath, stamped, { mode: 0o600 });
+  await fs.rename(tmpPath, filePath);
+
+  const copy = await db.watermarks.create(
+    downloadId,
+    user.id,
+    article.id,
+    sourceEtag,
+    filePath
+  );
+
+  await db.audit.log(user.id, 'pdf_watermarked', {
+    articleId: article.id,
+    downloadId,
+    sourceEtag
+  });
+
+  return copy;
+}
+
+/**
+ * Stamped copy of a PDF article for a user (cached)
+ * @param {Object} user - { id, email }
+ * @param {Object} article - Catalog article of type 'pdf'
+ * @returns {Promise<{ id: string, file_path: string }>} id is the download id
+ */
+export async function getWatermarkedPdf(user, article) {
+  const stat = await fs.stat(article.filePath);
+  const sourceEtag = await getFileEtag(article.filePath, stat);
+
+  const cached = await db.watermarks.findCurrent(user.id, article.id, sourceEtag);
+  if (cached && await fileExists(cached.file_path)) {
+    return cached;
+  }
+
+  const key = `${user.id}:${article.id}:${sourceEtag}`;
+  if (!inFlight.has(key)) {
+    inFlight.set(
+      key,
+      renderCopy(user, article, sourceEtag).finally(() => inFlight.delete(key))
+    );
+  }
+  return inFlight.get(key);
+}
+
+/**
+ * Delete a user's stamped files (e.g. after an email change, so new
+ * downloads carry the new address). Records stay for leak tracing;
+ * the next download renders a fresh copy.
+ * @param {string} userId
+ */
+export async function clearWatermarkCache(userId) {
+  await fs.rm(path.join(CACHE_DIR, userId), { recursive: true, force: true });
+}
+
+export default getWatermarkedPdf;
@@ -0,0 +1,590 @@
+/**
+ * ADMIN ROUTES
+ *
+ * Catalog authoring (editors and admins): create, update and delete
+ * articles, with PDF and image uploads. Replaces hand-editing the
+ * manifest and copying files into the site.
+ *
+ * Accounts: staff can look up accounts; admins change roles
+ * (see config/roles.js).
+ *
+ * REQUESTS:
+ * multipart/form-data (or JSON when no file is sent) with the manifest
+ * fields: title, slug, summary, tier, type, category, tags (JSON array
+ * or comma list), publish_at, early_access_at, preview_pages, and an
+ * optional `file`. For uploads the type is taken from the file.
+ * published_at is set when an article is created and never changes.
+ *
+ * SECURITY:
+ * ✅ Session auth + staff role, re-checked from the database on every
+ *    request (API keys rejected)
+ * ✅ Uploads checked by magic bytes and per-type size limits as they
+ *    stream in, and only stored once the catalog change is valid
+ * ✅ Stored under content-addressed names outside the web root
+ * ✅ Whole catalog validated before an atomic write (no partial updates)
+ * ✅ Every change audit-logged and kept as an immutable revision
+ * ✅ Role changes audit-logged; admins can't change their own role
+ *
+ * REVISIONS (see models/revision.js):
+ * GET  /articles/:id/revisions                        - history, newest first
+ * GET  /articles/:id/revisions/:revisionId/file       - file as of a revision
+ * POST /articles/:id/revisions/:revisionId/rollback   - make it current again
+ */
+
+import express from 'express';
+import fs from 'fs';
+import crypto from 'crypto';
+import multer from 'multer';
+import { requireAuth, requireRole } from '../middleware/auth.js';
+import { db } from '../models/user.js';
+import {
+  CatalogValidationError,
+  getArticle,
+  getArticles,
+  getManifestEntry,
+  resolveEntryFile
+} from '../models/article.js';
+import {
+  commitUpload,
+  createUploadStorage,
+  discardUpload,
+  UPLOAD_LIMITS,
+  UPLOAD_TMP_DIR
+} from '../models/contentStore.js';
+import { commitArticleChange, toRevisionViews } from '../models/revision.js';
+import { searchIndex } from '../models/search.js';
+import { evaluateFileRequest, getFileEtag, sendFile } from '../utils/fileResponse.js';
+import { getUserRole, isValidRole, ROLES } from '../config/roles.js';
+
+const router = express.Router();
+
+const requireEditor = requireRole('editor', 'admin');
+const requireStaff = requireRole('support', 'editor', 'admin');
+const requireAdmin = requireRole('admin');
+
+fs.mkdirSync(UPLOAD_TMP_DIR, { recursive: true });
+
+const upload = multer({
+  storage: createUploadStorage(),
+  limits: {
+    fileSize: Math.max(...Object.values(UPLOAD_LIMITS)),
+    files: 1,
+    fields: 20,
+    fieldSize: 10 * 1024
+  }
+});
+
+const TEXT_FIELDS = ['title', 'slug', 'summary', 'tier', 'category'];
+const DATE_FIELDS = ['publish_at', 'early_access_at'];
+
+/**
+ * Parse an optional single `file` upload into req.file
+ * Multer limit errors become 413/400 JSON responses, rejected files 400
+ */
+function acceptUpload(req, res, next) {
+  upload.single('file')(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof CatalogValidationError) return sendValidationError(res, error);
+    if (error instanceof multer.MulterError) {
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        error: error.code === 'LIMIT_FILE_SIZE' ? 'Payload Too Large' : 'Validation Error',
+        message: error.message
+      });
+    }
+    next(error);
+  });
+}
+
+function parseTags(value) {
+  if (Array.isArray(value)) return value;
+  const text = String(value).trim();
+  if (text.startsWith('[')) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new CatalogValidationError('Tags must be a JSON array or a comma-separated list');
+    }
+  }
+  return text.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Apply request fields to a manifest entry
+ * Empty strings clear optional fields
+ * @returns {Object} The entry
+ */
+function applyFields(entry, body) {
+  for (const field of TEXT_FIELDS) {
+    if (body[field] === undefined) continue;
+    const value = String(body[field]).trim();
+    if (value === '' && field === 'category') delete entry.category;
+    else entry[field] = value;
+  }
+
+  for (const field of DATE_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (body[field] === '' || body[field] === null) delete entry[field];
+    else entry[field] = String(body[field]);
+  }
+
+  if (body.tags !== undefined) {
+    entry.tags = parseTags(body.tags);
+  }
+
+  if (body.preview_pages !== undefined && body.preview_pages !== '') {
+    entry.preview_pages = Number(body.preview_pages);
+  }
+
+  return entry;
+}
+
+// The type of an upload comes from its content; reject a contradicting field
+function checkUploadType(req) {
+  if (req.file && req.body.type && req.body.type !== req.file.type) {
+    throw new CatalogValidationError(`Uploaded file is a ${req.file.type}, not a ${req.body.type}`);
+  }
+}
+
+// Point an entry at an upload; the type follows the file
+function applyUpload(entry, file) {
+  delete entry.file;
+  entry.upload = file.upload;
+  entry.type = file.type;
+}
+
+// Move req.file into the store once the change is known to be valid
+function uploadCommitter(req) {
+  return req.file ? () => commitUpload(req.file) : undefined;
+}
+
+// Admin view: the stored entry plus what the catalog computed from it
+function toAdminArticle(article) {
+  return {
+    ...getManifestEntry(article.id),
+    fileName: article.fileName,
+    size: article.sizeLabel,
+    mimeType: article.mimeType
+  };
+}
+
+function sendValidationError(res, error) {
+  res.status(400).json({
+    error: 'Validation Error',
+    message: error.message
+  });
+}
+
+// Clean up an upload that never reached the store
+function discardRequestFile(req) {
+  if (req.file) {
+    discardUpload(req.file).catch(() => {});
+  }
+}
+
+function refreshSearchIndex() {
+  searchIndex.refresh().catch(error => console.error('Search index error:', error));
+}
+
+/**
+ * GET /api/admin/articles
+ * Full catalog, including scheduled articles
+ */
+router.get('/articles', requireAuth, requireEditor, (req, res) => {
+  res.json({ articles: getArticles().map(toAdminArticle) });
+});
+
+/**
+ * POST /api/admin/articles
+ * Create an article (text, or with a PDF/image upload)
+ */
+router.post('/articles', requireAuth, requireEditor, acceptUpload, async (req, res) => {
+  try {
+    const id = `article-${crypto.randomBytes(4).toString('hex')}`;
+    checkUploadType(req);
+
+    const revision = await commitArticleChange({
+      articleId: id,
+      action: 'created',
+      authorId: req.userId,
+      change: () => {
+        const entry = applyFields({
+          id,
+          type: req.body.type || 'text',
+          published_at: new Date().toISOString()
+        }, req.body);
+        if (req.file) applyUpload(entry, req.file);
+        return entry;
+      },
+      beforeWrite: uploadCommitter(req)
+    });
+
+    await db.audit.log(req.userId, 'article_created', {
+      articleId: id,
+      revisionId: revision.id,
+      upload: req.file?.upload || null,
+      ip: req.ip
+    });
+    refreshSearchIndex();
+
+    res.status(201).json({ article: toAdminArticle(getArticle(id)) });
+  } catch (error) {
+    discardRequestFile(req);
+    if (error instanceof CatalogValidationError) return sendValidationError(res, error);
+
+    console.error('Create article error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to create article'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/articles/:id
+ * Update fields and/or replace the file
+ */
+router.put('/articles/:id', requireAuth, requireEditor, acceptUpload, async (req, res) => {
+  try {
+    if (!getManifestEntry(req.params.id)) {
+      discardRequestFile(req);
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Article not found'
+      });
+    }
+
+    checkUploadType(req);
+    const revision = await commitArticleChange({
+      articleId: req.params.id,
+      action: 'updated',
+      authorId: req.userId,
+      change: (entry) => {
+        if (!entry) throw new CatalogValidationError('Article not found');
+
+        // The type follows the file; changing it needs a new upload
+        if (!req.file && req.body.type && req.body.type !== entry.type) {
+          throw new CatalogValidationError('Upload a new file to change the article type');
+        }
+        applyFields(entry, req.body);
+        if (req.file) applyUpload(entry, req.file);
+        return entry;
+      },
+      beforeWrite: uploadCommitter(req)
+    });
+
+    await db.audit.log(req.userId, 'article_updated', {
+      articleId: req.params.id,
+      revisionId: revision.id,
+      fields: revision.changes.map(change => change.field),
+      upload: req.file?.upload || null,
+      ip: req.ip
+    });
+    refreshSearchIndex();
+
+    res.json({ article: toAdminArticle(getArticle(req.params.id)) });
+  } catch (error) {
+    discardRequestFile(req);
+    if (error instanceof CatalogValidationError) return sendValidationError(res, error);
+
+    console.error('Update article error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to update article'
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/articles/:id
+ * Remove an article from the catalog. Its history and stored files are
+ * kept, so it can be restored by rolling back to an earlier revision.
+ */
+router.delete('/articles/:id', requireAuth, requireEditor, async (req, res) => {
+  try {
+    const entry = getManifestEntry(req.params.id);
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Article not found'
+      });
+    }
+
+    const revision = await commitArticleChange({
+      articleId: entry.id,
+      action: 'deleted',
+      authorId: req.userId,
+      change: () => null
+    });
+
+    await db.audit.log(req.userId, 'article_deleted', {
+      articleId: entry.id,
+      revisionId: revision.id,
+      slug: entry.slug,
+      ip: req.ip
+    });
+    refreshSearchIndex();
+
+    res.json({ message: 'Article deleted' });
+  } catch (error) {
+    if (error instanceof CatalogValidationError) return sendValidationError(res, error);
+
+    console.error('Delete article error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to delete article'
+    });
+  }
+});
+
+/**
+ * Resolve :id/:revisionId into req.revision
+ * Works for deleted articles too, since their history is kept
+ */
+async function loadRevision(req, res, next) {
+  try {
+    const revision = await db.revisions.findById(req.params.revisionId);
+    if (!revision || revision.article_id !== req.params.id) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Revision not found'
+      });
+    }
+
+    req.revision = revision;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/admin/articles/:id/revisions
+ * History of an article, newest first
+ */
+router.get('/articles/:id/revisions', requireAuth, requireEditor, async (req, res) => {
+  try {
+    const entry = getManifestEntry(req.params.id);
+    const records = await db.revisions.findByArticleId(req.params.id);
+
+    if (!entry && records.length === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Article not found'
+      });
+    }
+
+    res.json({
+      articleId: req.params.id,
+      deleted: !entry,
+      currentRevision: entry?.revision || null,
+      revisions: await toRevisionViews(records, entry?.revision || null)
+    });
+  } catch (error) {
+    console.error('List revisions error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to fetch revisions'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/articles/:id/revisions/:revisionId/file
+ * Download the file an article had at a given revision
+ */
+router.get('/articles/:id/revisions/:revisionId/file', requireAuth, requireEditor, loadRevision,
+  async (req, res) => {
+    try {
+      const entry = req.revision.entry;
+      const file = entry && (entry.file || entry.upload) ? resolveEntryFile(entry) : null;
+
+      if (!file || !fs.existsSync(file.filePath)) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'This revision has no file'
+        });
+      }
+
+      const stat = await fs.promises.stat(file.filePath);
+      const etag = await getFileEtag(file.filePath, stat);
+
+      sendFile(req, res, {
+        filePath: file.filePath,
+        stat,
+        etag,
+        decision: evaluateFileRequest(req, { etag, stat }),
+        contentType: file.mimeType,
+        fileName: file.fileName,
+        disposition: 'attachment'
+      });
+    } catch (error) {
+      console.error('Revision file error:', error);
+      res.status(500).json({
+        error: 'Server Error',
+        message: 'Unable to load file'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/articles/:id/revisions/:revisionId/rollback
+ * Make an older revision current again (restores deleted articles too)
+ * Recorded as a new revision; history is never rewritten
+ */
+router.post('/articles/:id/revisions/:revisionId/rollback', requireAuth, requireEditor, loadRevision,
+  async (req, res) => {
+    try {
+      const target = req.revision.entry;
+      if (!target) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'Cannot roll back to a deletion; pick an earlier revision'
+        });
+      }
+      if (getManifestEntry(req.params.id)?.revision === req.revision.id) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'This revision is already current'
+        });
+      }
+      if ((target.file || target.upload) && !fs.existsSync(resolveEntryFile(target).filePath)) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: 'The file of this revision is no longer available'
+        });
+      }
+
+      const revision = await commitArticleChange({
+        articleId: req.params.id,
+        action: 'rolled_back',
+        authorId: req.userId,
+        rolledBackTo: req.revision.id,
+        change: () => structuredClone(target)
+      });
+
+      await db.audit.log(req.userId, 'article_rolled_back', {
+        articleId: req.params.id,
+        revisionId: revision.id,
+        rolledBackTo: req.revision.id,
+        ip: req.ip
+      });
+      refreshSearchIndex();
+
+      res.json({ article: toAdminArticle(getArticle(req.params.id)) });
+    } catch (error) {
+      if (error instanceof CatalogValidationError) return sendValidationError(res, error);
+
+      console.error('Rollback article error:', error);
+      res.status(500).json({
+        error: 'Server Error',
+        message: 'Unable to roll back article'
+      });
+    }
+  }
+);
+
+function toStaffUserView(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    role: getUserRole(user),
+    createdAt: user.created_at,
+    lastLogin: user.last_login || null
+  };
+}
+
+/**
+ * GET /api/admin/users?email=&role=
+ * Look up an account by email, or list accounts with a role
+ */
+router.get('/users', requireAuth, requireStaff, async (req, res) => {
+  try {
+    const { email, role } = req.query;
+
+    if (role && !isValidRole(role)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+    if (!email && !role) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Pass an email or a role'
+      });
+    }
+
+    let users;
+    if (email) {
+      const user = await db.users.findByEmail(String(email).trim().toLowerCase());
+      users = user && (!role || getUserRole(user) === role) ? [user] : [];
+    } else {
+      users = await db.users.findByRole(role);
+    }
+
+    res.json({ users: users.map(toStaffUserView) });
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to fetch users'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:id/role
+ * Change an account's role
+ * Body: { role }
+ */
+router.put('/users/:id/role', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const role = req.body?.role;
+    if (!isValidRole(role)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    // SECURITY: Keeps at least one admin able to manage roles
+    if (req.params.id === req.userId) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await db.users.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'User not found'
+      });
+    }
+
+    const previousRole = getUserRole(user);
+    if (previousRole !== role) {
+      await db.users.updateRole(user.id, role);
+      await db.audit.log(user.id, 'role_changed', {
+        from: previousRole,
+        to: role,
+        changedBy: req.userId,
+        ip: req.ip
+      });
+    }
+
+    res.json({ user: toStaffUserView({ ...user, role }) });
+  } catch (error) {
+    console.error('Change role error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to change role'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,218 @@
+/**
+ * API KEY MANAGEMENT ROUTES
+ *
+ * Lets subscribers with the "API access" entitlement create, name,
+ * scope, rotate and revoke personal API keys.
+ *
+ * SECURITY:
+ * ✅ Session auth only (an API key can never manage keys)
+ * ✅ Secret returned once at creation/rotation, stored as a hash
+ * ✅ Keys scoped to specific article operations
+ * ✅ Every change audit-logged with the key id
+ */
+
+import express from 'express';
+import {
+  requireAuth,
+  requireSubscription,
+  requireEntitlement
+} from '../middleware/auth.js';
+import { db } from '../models/user.js';
+import {
+  API_KEY_SCOPES,
+  DEFAULT_KEY_RATE_LIMIT,
+  MAX_ACTIVE_KEYS,
+  generateApiKey,
+  normalizeScopes,
+  toPublicApiKey
+} from '../models/apiKey.js';
+
+const router = express.Router();
+
+const NAME_MAX_LENGTH = 64;
+
+/**
+ * Load a key owned by the current user into req.key
+ * Keys of other users look exactly like missing keys
+ */
+async function loadOwnKey(req, res, next) {
+  try {
+    const key = await db.apiKeys.findById(req.params.id);
+    if (!key || key.user_id !== req.userId) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'API key not found'
+      });
+    }
+    req.key = key;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/keys
+ * List the current user's keys (no secrets)
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const keys = await db.apiKeys.findByUserId(req.userId);
+    res.json({
+      keys: keys.map(toPublicApiKey),
+      scopes: API_KEY_SCOPES
+    });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to fetch API keys'
+    });
+  }
+});
+
+/**
+ * POST /api/keys
+ * Create a key
+ * Body: { name, scopes: ['articles:read', 'articles:download'] }
+ * Returns the secret ONCE in `key`
+ */
+router.post(
+  '/',
+  requireAuth,
+  requireSubscription,
+  requireEntitlement('api_access'),
+  async (req, res) => {
+    try {
+      const name = req.body?.name?.trim();
+      const scopes = normalizeScopes(req.body?.scopes);
+
+      if (!name || name.length > NAME_MAX_LENGTH) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `Name is required (max ${NAME_MAX_LENGTH} characters)`
+        });
+      }
+
+      if (!scopes) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `Scopes must be a non-empty list of: ${Object.keys(API_KEY_SCOPES).join(', ')}`
+        });
+      }
+
+      const existing = await db.apiKeys.findByUserId(req.userId);
+      if (existing.filter(key => !key.revoked_at).length >= MAX_ACTIVE_KEYS) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `You can have at most ${MAX_ACTIVE_KEYS} active API keys`
+        });
+      }
+
+      const { key, prefix, hash } = generateApiKey();
+      const record = await db.apiKeys.create(req.userId, {
+        name,
+        prefix,
+        hash,
+        scopes,
+        rateLimit: DEFAULT_KEY_RATE_LIMIT
+      });
+
+      await db.audit.log(req.userId, 'api_key_created', {
+        keyId: record.id,
+        name,
+        scopes,
+        ip: req.ip
+      });
+
+      res.status(201).json({
+        message: 'Store this key now; it will not be shown again',
+        key,
+        apiKey: toPublicApiKey(record)
+      });
+    } catch (error) {
+      console.error('Create API key error:', error);
+      res.status(500).json({
+        error: 'Server Error',
+        message: 'Unable to create API key'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/keys/:id/rotate
+ * Replace a key with a new secret (same name and scopes)
+ * The old key stops working immediately
+ */
+router.post(
+  '/:id/rotate',
+  requireAuth,
+  requireSubscription,
+  requireEntitlement('api_access'),
+  loadOwnKey,
+  async (req, res) => {
+    try {
+      if (req.key.revoked_at) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'Revoked keys cannot be rotated'
+        });
+      }
+
+      const { key, prefix, hash } = generateApiKey();
+      const record = await db.apiKeys.create(req.userId, {
+        name: req.key.name,
+        prefix,
+        hash,
+        scopes: req.key.scopes,
+        rateLimit: req.key.rate_limit
+      });
+      await db.apiKeys.revoke(req.key.id);
+
+      await db.audit.log(req.userId, 'api_key_rotated', {
+        keyId: record.id,
+        previousKeyId: req.key.id,
+        ip: req.ip
+      });
+
+      res.status(201).json({
+        message: 'Store this key now; it will not be shown again',
+        key,
+        apiKey: toPublicApiKey(record)
+      });
+    } catch (error) {
+      console.error('Rotate API key error:', error);
+      res.status(500).json({
+        error: 'Server Error',
+        message: 'Unable to rotate API key'
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/keys/:id
+ * Revoke a key (kept for the audit trail, never reactivated)
+ */
+router.delete('/:id', requireAuth, loadOwnKey, async (req, res) => {
+  try {
+    if (!req.key.revoked_at) {
+      await db.apiKeys.revoke(req.key.id);
+      await db.audit.log(req.userId, 'api_key_revoked', {
+        keyId: req.key.id,
+        ip: req.ip
+      });
+    }
+
+    res.json({ message: 'API key revoked' });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to revoke API key'
+    });
+  }
+});
+
+export default router;
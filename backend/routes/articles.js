@@ -14,54 +14,253 @@
 
 import express from 'express';
 import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { requireAuth, requireSubscription } from '../middleware/auth.js';
+import archiver from 'archiver';
+import { v4 as uuidv4 } from 'uuid';
+import {
+  allowApiKey,
+  optionalAuth,
+  requireAuth,
+  requireSubscription,
+  requireEntitlement,
+  requireVerifiedEmail
+} from '../middleware/auth.js';
 import { db } from '../models/user.js';
+import {
+  getArticles,
+  getArticle,
+  getArticleByFileName,
+  isArticleReleased,
+  toPublicArticle,
+  toSubscriberArticle
+} from '../models/article.js';
+import { getUsageSummary, consumeArticleQuota } from '../models/usage.js';
+import { parseListQuery, listArticles } from '../models/articleList.js';
+import { getWatermarkedPdf } from '../models/watermark.js';
+import { getPreviewPdf } from '../models/preview.js';
+import { searchIndex } from '../models/search.js';
+import { getFileEtag, evaluateFileRequest, sendFile } from '../utils/fileResponse.js';
+import {
+  signArticleUrl,
+  verifyArticleSignature,
+  DISPOSITIONS
+} from '../utils/signedUrl.js';
+import { getPlan, planMeetsTier, hasEntitlement } from '../config/plans.js';
+import { isEmailVerified, unverifiedUsersCan } from '../config/verification.js';
 
 const router = express.Router();
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const PDF_DIR = path.join(__dirname, '../..', 'pdfs');
 
-// SECURITY: Whitelist of allowed files
-const ALLOWED_FILES = new Map([
-  ['health-wellness.pdf', 'Health and Wellness Guide'],
-  ['article-1.pdf', 'Article 1: Advanced Topics']
-  // Add more as needed
-]);
+const BATCH_MAX_ARTICLES = 50;
+const SEARCH_MAX_QUERY_LENGTH = 200;
+const SEARCH_MAX_LIMIT = 50;
+
+// A viewer fetching many byte ranges of one file is one logical download
+const DOWNLOAD_DEDUPE_MS = 30 * 60 * 1000;
+const recentDownloads = new Map(); // `${userId}:${articleId}:${etag}` -> timestamp
+
+function isNewDownload(userId, articleId, etag) {
+  const now = Date.now();
+  for (const [key, at] of recentDownloads) {
+    if (now - at > DOWNLOAD_DEDUPE_MS) recentDownloads.delete(key);
+  }
+
+  const key = `${userId}:${articleId}:${etag}`;
+  const isNew = !recentDownloads.has(key);
+  recentDownloads.set(key, now);
+  return isNew;
+}
+
+/**
+ * Active plan of the signed-in caller (if any), or null
+ * For routes that also serve visitors (optionalAuth)
+ */
+async function viewerPlanId(req) {
+  if (!req.userId) return null;
+  const subscriptions = await db.subscriptions.findActiveByUserId(req.userId);
+  return subscriptions[0]?.plan_id || null;
+}
+
+/**
+ * Resolve the requested premium article file into req.article
+ * Must run after requireSubscription
+ *
+ * SECURITY:
+ * - Whitelist is the article catalog (no client-supplied paths)
+ * - Unreleased articles look exactly like missing ones
+ * - Subscription plan must unlock the article's tier
+ *
+ * @param {Function} findArticle - (req) => catalog article or null
+ */
+const loadArticleFile = (findArticle) => (req, res, next) => {
+  const article = findArticle(req);
+  if (!article || !article.requiresSubscription || !article.filePath ||
+      !isArticleReleased(article, req.subscription.plan_id)) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'File not found'
+    });
+  }
+
+  if (!planMeetsTier(req.subscription.plan_id, article.tier)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Your plan does not include this article',
+      requiredTier: article.tier
+    });
+  }
+
+  req.article = article;
+  next();
+};
+
+/**
+ * Saving a file (attachment) needs the download entitlement;
+ * viewing inline only needs the article type
+ */
+const requireDispositionEntitlement = (getDisposition) => (req, res, next) => {
+  if (getDisposition(req) === 'inline') return next();
+  return requireEntitlement('download')(req, res, next);
+};
+
+/**
+ * Let the frontend's PDF modal embed this response
+ */
+function allowFrontendFraming(res) {
+  res.removeHeader('X-Frame-Options');
+  res.setHeader(
+    'Content-Security-Policy',
+    `frame-ancestors 'self' ${process.env.FRONTEND_URL}`
+  );
+}
+
+/**
+ * Verify a signed article URL and act as the user it was minted for
+ * Sets req.userId and req.signedLink ({ disposition })
+ *
+ * SECURITY: If the browser also has a session, it must be the same user
+ */
+function verifySignedLink(req, res, next) {
+  const result = verifyArticleSignature(req.params.id, req.query);
+  if (!result.valid) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: result.reason === 'expired' ? 'Link has expired' : 'Invalid link'
+    });
+  }
+
+  if (req.session?.userId && req.session.userId !== result.userId) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Invalid link'
+    });
+  }
+
+  req.userId = result.userId;
+  req.signedLink = { disposition: result.disposition };
+  next();
+}
+
+/**
+ * Stream req.article to the client after quota checks
+ * Shared by the session download route and signed links
+ */
+async function serveArticleFile(req, res, { disposition }) {
+  const { article } = req;
+  const filepath = article.filePath;
+
+  // Check file still exists (catalog is loaded at startup)
+  if (!fs.existsSync(filepath)) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'File not found'
+    });
+  }
+
+  // QUOTA: Distinct articles per billing period (re-opens are free)
+  const quota = await consumeArticleQuota(req.subscription, [article.id]);
+  if (!quota.allowed) {
+    await db.audit.log(req.userId, 'quota_exceeded', {
+      articleId: article.id,
+      used: quota.usage.used,
+      limit: quota.usage.limit,
+      ip: req.ip
+    });
+    return res.status(402).json({
+      error: 'Quota Exceeded',
+      message: `Your plan includes ${quota.usage.limit} articles per month. Upgrade to keep reading.`,
+      usage: quota.usage
+    });
+  }
+
+  // WATERMARK: PDFs are stamped per subscriber (cached per user/article)
+  let servedPath = filepath;
+  let downloadId = null;
+  if (article.type === 'pdf') {
+    const user = await db.users.findById(req.userId);
+    const copy = await getWatermarkedPdf(user, article);
+    servedPath = copy.file_path;
+    downloadId = copy.id;
+  }
+
+  const stat = await fs.promises.stat(servedPath);
+  const etag = await getFileEtag(servedPath, stat);
+  const decision = evaluateFileRequest(req, { etag, stat });
+
+  // AUDIT LOG: once per logical download, not per range/revalidation
+  if (decision.status !== 304 && decision.status !== 416 &&
+      isNewDownload(req.userId, article.id, etag)) {
+    await db.audit.log(req.userId, 'pdf_download', {
+      articleId: article.id,
+      filename: article.fileName,
+      fileSize: stat.size,
+      downloadId,
+      disposition,
+      signed: Boolean(req.signedLink),
+      apiKeyId: req.apiKey?.id || null,
+      ip: req.ip
+    });
+  }
+
+  sendFile(req, res, {
+    filePath: servedPath,
+    stat,
+    etag,
+    decision,
+    contentType: article.mimeType,
+    fileName: article.fileName,
+    disposition
+  });
+}
 
 /**
  * GET /api/articles/public
  * Get list of articles (public endpoint, no subscription required)
  * Shows limited preview info
+ *
+ * Query: ?tag=&category=&type=&sort=newest|popular|title&limit=&cursor=
+ * (see models/articleList.js). Pass `nextCursor` back as `cursor` for
+ * the next page.
+ *
+ * Scheduled articles appear once published, or from early_access_at
+ * for signed-in subscribers whose plan has early access.
  */
-router.get('/public', (req, res) => {
+router.get('/public', optionalAuth, async (req, res) => {
   try {
-    const articles = [
-      {
-        id: 'article-1',
-        title: 'Welcome to Berlin-Benz',
-        type: 'text',
-        preview: 'Read about our premium content collection...',
-        requiresSubscription: false
-      },
-      {
-        id: 'article-2',
-        title: 'Premium Article: Advanced Strategies',
-        type: 'pdf',
-        preview: 'Unlock exclusive PDF content',
-        requiresSubscription: true
-      },
-      {
-        id: 'article-3',
-        title: 'Premium Article: Complete Guide',
-        type: 'pdf',
-        preview: 'Detailed PDF guide for subscribers',
-        requiresSubscription: true
-      }
-    ];
+    const { options, error } = parseListQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error
+      });
+    }
+
+    const planId = await viewerPlanId(req);
+    const visible = getArticles().filter(article => isArticleReleased(article, planId));
+    const list = await listArticles(visible, { ...options, planId });
 
-    res.json({ articles });
+    res.json({
+      ...list,
+      articles: list.articles.map(toPublicArticle)
+    });
   } catch (error) {
     console.error('Articles error:', error);
     res.status(500).json({
@@ -71,13 +270,88 @@ router.get('/public', (req, res) => {
   }
 });
 
+/**
+ * GET /api/articles/search?q=&page=&limit=
+ * Ranked full-text search over titles, summaries and PDF contents
+ *
+ * SECURITY: Visitors and subscribers without access to an article only
+ * match its public title/summary; PDF text is searched (and quoted in
+ * snippets) only for articles the active plan unlocks, and only under
+ * the same email verification policy as the file routes.
+ *
+ * Snippets are HTML-escaped with matches wrapped in <mark>.
+ */
+router.get('/search', optionalAuth, async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim();
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(
+      SEARCH_MAX_LIMIT,
+      Math.max(1, parseInt(req.query.limit, 10) || 10)
+    );
+
+    if (!query || query.length > SEARCH_MAX_QUERY_LENGTH) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Query is required (max ${SEARCH_MAX_QUERY_LENGTH} characters)`
+      });
+    }
+
+    const planId = await viewerPlanId(req);
+    const contentAllowed = Boolean(planId) && (unverifiedUsersCan('articles') ||
+      isEmailVerified(await db.users.findById(req.userId)));
+
+    const canReadContent = (article) => contentAllowed &&
+      planMeetsTier(planId, article.tier) &&
+      hasEntitlement(planId, 'article_type', article.type);
+
+    const { total, results } = await searchIndex.search(query, {
+      canReadContent,
+      isVisible: (article) => isArticleReleased(article, planId),
+      offset: (page - 1) * limit,
+      limit
+    });
+
+    res.json({
+      query,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      results: results.map(({ article, score, matchedFields, snippet }) => ({
+        ...toPublicArticle(article),
+        score,
+        matchedFields,
+        snippet
+      }))
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to search articles'
+    });
+  }
+});
+
 /**
  * GET /api/articles/subscribed
  * Get articles available to authenticated users
  * Requires active subscription
+ *
+ * Same filter, sort and cursor query parameters as /public
  */
-router.get('/subscribed', requireAuth, requireSubscription, async (req, res) => {
+router.get('/subscribed', allowApiKey('articles:read'), requireAuth, requireSubscription,
+  requireVerifiedEmail('articles'), async (req, res) => {
   try {
+    const { options, error } = parseListQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error
+      });
+    }
+
     const user = await db.users.findById(req.userId);
     const subscriptions = await db.subscriptions.findActiveByUserId(req.userId);
 
@@ -88,34 +362,25 @@ router.get('/subscribed', requireAuth, requireSubscription, async (req, res) =>
       });
     }
 
-    const articles = [
-      {
-        id: 'pdf-1',
-        title: 'Health and Wellness Comprehensive Guide',
-        type: 'pdf',
-        fileName: 'health-wellness.pdf',
-        size: '2.3 MB',
-        url: '/api/articles/download/health-wellness.pdf'
-      },
-      {
-        id: 'pdf-2',
-        title: 'Advanced Strategies Document',
-        type: 'pdf',
-        fileName: 'article-1.pdf',
-        size: '1.8 MB',
-        url: '/api/articles/download/article-1.pdf'
-      }
-    ];
+    // Only released premium articles the subscriber's plan unlocks
+    const available = getArticles()
+      .filter(article => article.requiresSubscription)
+      .filter(article => isArticleReleased(article, subscriptions[0].plan_id))
+      .filter(article => planMeetsTier(subscriptions[0].plan_id, article.tier))
+      .filter(article =>
+        hasEntitlement(subscriptions[0].plan_id, 'article_type', article.type));
+    const list = await listArticles(available, { ...options, planId: subscriptions[0].plan_id });
 
     await db.audit.log(req.userId, 'articles_accessed', {
       ip: req.ip,
-      count: articles.length
+      count: list.articles.length
     });
 
     res.json({
       user: user.name,
       subscription: subscriptions[0],
-      articles
+      ...list,
+      articles: list.articles.map(toSubscriberArticle)
     });
   } catch (error) {
     console.error('Subscribed articles error:', error);
@@ -132,75 +397,397 @@ router.get('/subscribed', requireAuth, requireSubscription, async (req, res) =>
  * 
  * SECURITY:
  * ✅ Only authenticated users with subscription
- * ✅ Filename validated against whitelist (prevent path traversal)
+ * ✅ Filename validated against the article catalog (prevent path traversal)
+ * ✅ Unreleased articles 404 (early access only for entitled plans)
+ * ✅ Subscription plan must meet the article's tier
+ * ✅ Plan must be entitled to the article type and to downloads
+ * ✅ Counts against the plan's monthly article quota
  * ✅ Server serves file, not direct URL access
- * ✅ Download logged for audit trail
+ * ✅ Download logged for audit trail (once per logical download)
+ * ✅ PDFs watermarked per subscriber (email, account id, download id)
+ *
+ * CACHING / RESUME:
+ * Supports Range (206), If-Range, strong ETags and 304 revalidation so
+ * large PDFs can resume and viewers can fetch byte ranges.
  */
-router.get('/download/:filename', requireAuth, requireSubscription, async (req, res) => {
+router.get(
+  '/download/:filename',
+  allowApiKey('articles:download'),
+  requireAuth,
+  requireSubscription,
+  requireVerifiedEmail('articles'),
+  loadArticleFile(req => getArticleByFileName(req.params.filename)),
+  requireEntitlement('article_type', req => req.article.type),
+  requireEntitlement('download'),
+  async (req, res) => {
+    try {
+      await serveArticleFile(req, res, { disposition: 'attachment' });
+    } catch (error) {
+      console.error('Download error:', error);
+      res.status(500).json({
+        error: 'Server Error',
+        message: 'Unable to download file'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/articles/:id/link
+ * Mint a short-lived signed URL for an article file
+ * Body: { disposition: 'inline' | 'attachment' } (default 'attachment')
+ *
+ * SECURITY:
+ * ✅ Same auth, tier, entitlement and quota checks as /download
+ * ✅ 'inline' (view in the PDF modal) doesn't need the download entitlement
+ * ✅ URL is bound to this user and expires in minutes
+ */
+router.post(
+  '/:id/link',
+  allowApiKey('articles:download'),
+  requireAuth,
+  requireSubscription,
+  requireVerifiedEmail('articles'),
+  loadArticleFile(req => getArticle(req.params.id)),
+  requireEntitlement('article_type', req => req.article.type),
+  requireDispositionEntitlement(req => req.body?.disposition),
+  async (req, res) => {
+    try {
+      const disposition = req.body?.disposition || 'attachment';
+      if (!DISPOSITIONS.includes(disposition)) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'Disposition must be inline or attachment'
+        });
+      }
+
+      const quota = await consumeArticleQuota(req.subscription, [req.article.id]);
+      if (!quota.allowed) {
+        return res.status(402).json({
+          error: 'Quota Exceeded',
+          message: `Your plan includes ${quota.usage.limit} articles per month. Upgrade to keep reading.`,
+          usage: quota.usage
+        });
+      }
+
+      const link = signArticleUrl({
+        articleId: req.article.id,
+        userId: req.userId,
+        disposition
+      });
+
+      await db.audit.log(req.userId, 'signed_link_created', {
+        articleId: req.article.id,
+        disposition,
+        expiresAt: link.expiresAt,
+        ip: req.ip
+      });
+
+      res.status(201).json({ ...link, disposition });
+    } catch (error) {
+      console.error('Signed link error:', error);
+      res.status(500).json({
+        error: 'Server Error',
+        message: 'Unable to create link'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/articles/:id/preview
+ * First pages of a premium PDF plus a "subscribe to continue" page
+ * Open to visitors; rate limited separately (see server.js)
+ *
+ * SECURITY:
+ * ✅ Only the preview copy is served, never the original file
+ * ✅ At most half the document (see models/preview.js)
+ * ✅ Unreleased articles 404, like every other article route
+ * ✅ Doesn't count against any quota and isn't watermarked
+ */
+router.get('/:id/preview', optionalAuth, async (req, res) => {
   try {
-    const filename = req.params.filename;
+    const article = getArticle(req.params.id);
+    const planId = await viewerPlanId(req);
+
+    const preview = article && article.previewPages > 0 && article.size !== null &&
+      isArticleReleased(article, planId) && fs.existsSync(article.filePath)
+      ? await getPreviewPdf(article)
+      : null;
 
-    // SECURITY: Validate filename against whitelist
-    if (!ALLOWED_FILES.has(filename)) {
+    if (!preview) {
       return res.status(404).json({
         error: 'Not Found',
-        message: 'File not found'
+        message: 'No preview available'
       });
     }
 
-    // SECURITY: Prevent path traversal attacks
-    const filepath = path.join(PDF_DIR, filename);
-    if (!filepath.startsWith(PDF_DIR)) {
-      console.error(`⚠️ Path traversal attempt: ${filepath}`);
-      return res.status(403).json({
-        error: 'Forbidden',
-        message: 'Access denied'
-      });
-    }
+    const stat = await fs.promises.stat(preview.file_path);
+    const etag = await getFileEtag(preview.file_path, stat);
 
-    // Check file exists
-    if (!fs.existsSync(filepath)) {
+    allowFrontendFraming(res);
+    sendFile(req, res, {
+      filePath: preview.file_path,
+      stat,
+      etag,
+      decision: evaluateFileRequest(req, { etag, stat }),
+      contentType: 'application/pdf',
+      fileName: `${article.slug}-preview.pdf`,
+      disposition: 'inline'
+    });
+  } catch (error) {
+    console.error('Preview error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to load preview'
+    });
+  }
+});
+
+/**
+ * GET /api/articles/:id/file
+ * File of a free article uploaded through the admin API
+ * (free site files under pdfs/ and images/ are static assets)
+ *
+ * SECURITY: Free, released articles only; premium files go through
+ * /download or signed links
+ */
+router.get('/:id/file', optionalAuth, async (req, res) => {
+  try {
+    const article = getArticle(req.params.id);
+    const planId = await viewerPlanId(req);
+
+    if (!article || article.requiresSubscription || !article.upload ||
+        !isArticleReleased(article, planId) || !fs.existsSync(article.filePath)) {
       return res.status(404).json({
         error: 'Not Found',
         message: 'File not found'
       });
     }
 
-    // AUDIT LOG
-    await db.audit.log(req.userId, 'pdf_download', {
-      filename,
-      fileSize: fs.statSync(filepath).size,
-      ip: req.ip
+    const stat = await fs.promises.stat(article.filePath);
+    const etag = await getFileEtag(article.filePath, stat);
+
+    sendFile(req, res, {
+      filePath: article.filePath,
+      stat,
+      etag,
+      decision: evaluateFileRequest(req, { etag, stat }),
+      contentType: article.mimeType,
+      fileName: article.fileName,
+      disposition: 'inline'
     });
+  } catch (error) {
+    console.error('Article file error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to load file'
+    });
+  }
+});
+
+/**
+ * GET /api/articles/signed/:id
+ * Serve an article file via a signed URL (no session required)
+ *
+ * SECURITY:
+ * ✅ Signature and expiry verified on every request (incl. ranges)
+ * ✅ Subscription, tier and entitlements re-checked for the bound user
+ * ✅ Inline responses may only be framed by the frontend origin
+ */
+router.get(
+  '/signed/:id',
+  verifySignedLink,
+  requireSubscription,
+  requireVerifiedEmail('articles'),
+  loadArticleFile(req => getArticle(req.params.id)),
+  requireEntitlement('article_type', req => req.article.type),
+  requireDispositionEntitlement(req => req.signedLink.disposition),
+  async (req, res) => {
+    try {
+      const { disposition } = req.signedLink;
+
+      if (disposition === 'inline') {
+        allowFrontendFraming(res);
+      }
 
-    // SERVE FILE
-    const fileSize = fs.statSync(filepath).size;
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.setHeader('Content-Length', fileSize);
-    
-    // Don't cache (each user gets fresh copy)
-    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-    res.setHeader('Pragma', 'no-cache');
-    res.setHeader('Expires', '0');
+      await serveArticleFile(req, res, { disposition });
+    } catch (error) {
+      console.error('Signed download error:', error);
+      res.status(500).json({
+        error: 'Server Error',
+        message: 'Unable to download file'
+      });
+    }
+  }
+);
 
-    const stream = fs.createReadStream(filepath);
-    stream.pipe(res);
+/**
+ * POST /api/articles/batch
+ * Download several articles as one ZIP, built on the fly
+ * Body: { articleIds: string[] }
+ *
+ * SECURITY:
+ * ✅ Requires the batch_download entitlement (Unlimited plan)
+ * ✅ Every article checked for tier and type entitlement before streaming
+ * ✅ Quota charged all-or-nothing for the premium articles
+ * ✅ PDFs watermarked per subscriber, each file audited
+ * ✅ Client disconnect aborts the archive and releases file handles
+ */
+router.post(
+  '/batch',
+  allowApiKey('articles:download'),
+  requireAuth,
+  requireSubscription,
+  requireVerifiedEmail('articles'),
+  requireEntitlement('batch_download'),
+  async (req, res) => {
+    try {
+      const { articleIds } = req.body || {};
+      const planId = req.subscription.plan_id;
 
-    stream.on('error', (error) => {
-      console.error('Stream error:', error);
+      if (!Array.isArray(articleIds) || articleIds.length === 0 ||
+          !articleIds.every(id => typeof id === 'string')) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'articleIds must be a non-empty array of article ids'
+        });
+      }
+
+      const uniqueIds = [...new Set(articleIds)];
+      if (uniqueIds.length > BATCH_MAX_ARTICLES) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `A batch can include at most ${BATCH_MAX_ARTICLES} articles`
+        });
+      }
+
+      // Validate everything up front: a ZIP can't report errors mid-stream
+      const articles = [];
+      const rejected = [];
+      for (const id of uniqueIds) {
+        const article = getArticle(id);
+        if (!article || !article.filePath || !fs.existsSync(article.filePath) ||
+            !isArticleReleased(article, planId)) {
+          rejected.push({ id, reason: 'not_found' });
+        } else if (!planMeetsTier(planId, article.tier) ||
+                   !hasEntitlement(planId, 'article_type', article.type)) {
+          rejected.push({ id, reason: 'not_in_plan' });
+        } else {
+          articles.push(article);
+        }
+      }
+
+      if (rejected.length > 0) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'Some articles cannot be included in this batch',
+          rejected
+        });
+      }
+
+      const premiumIds = articles
+        .filter(article => article.requiresSubscription)
+        .map(article => article.id);
+      const quota = await consumeArticleQuota(req.subscription, premiumIds);
+      if (!quota.allowed) {
+        return res.status(402).json({
+          error: 'Quota Exceeded',
+          message: 'This batch would exceed your monthly article quota',
+          usage: quota.usage
+        });
+      }
+
+      const user = await db.users.findById(req.userId);
+      const batchId = uuidv4();
+      const entries = [];
+      for (const article of articles) {
+        let filePath = article.filePath;
+        let downloadId = null;
+        if (article.type === 'pdf') {
+          const copy = await getWatermarkedPdf(user, article);
+          filePath = copy.file_path;
+          downloadId = copy.id;
+        }
+        entries.push({ article, filePath, downloadId });
+      }
+
+      for (const { article, downloadId } of entries) {
+        await db.audit.log(req.userId, 'batch_download_item', {
+          batchId,
+          articleId: article.id,
+          filename: article.fileName,
+          downloadId,
+          apiKeyId: req.apiKey?.id || null,
+          ip: req.ip
+        });
+      }
+
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="berlin-benz-${batchId.slice(0, 8)}.zip"`);
+      res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+
+      // PDFs are already compressed; storing avoids wasted CPU
+      const archive = archiver('zip', { store: true });
+      let completed = false;
+
+      res.on('close', async () => {
+        if (completed) return;
+        archive.abort(); // Stops reading and closes any open file streams
+        await db.audit.log(req.userId, 'batch_download_aborted', {
+          batchId,
+          ip: req.ip
+        }).catch(error => console.error('Audit error:', error));
+      });
+
+      archive.on('error', (error) => {
+        console.error('Batch archive error:', error);
+        res.destroy(error);
+      });
+
+      archive.on('end', async () => {
+        completed = true;
+        await db.audit.log(req.userId, 'batch_download', {
+          batchId,
+          count: entries.length,
+          bytes: archive.pointer(),
+          ip: req.ip
+        }).catch(error => console.error('Audit error:', error));
+      });
+
+      archive.pipe(res);
+      for (const { article, filePath } of entries) {
+        // archive.file() opens each file lazily, one at a time
+        archive.file(filePath, { name: article.fileName });
+      }
+      // Errors surface through the 'error' listener above
+      archive.finalize().catch(() => {});
+    } catch (error) {
+      console.error('Batch download error:', error);
       if (!res.headersSent) {
         res.status(500).json({
           error: 'Server Error',
-          message: 'Unable to download file'
+          message: 'Unable to build download'
         });
       }
-    });
+    }
+  }
+);
+
+/**
+ * GET /api/articles/usage
+ * Articles opened this billing period vs. the plan's monthly limit
+ * `limit` and `remaining` are null on unlimited plans
+ */
+router.get('/usage', allowApiKey('articles:read'), requireAuth, requireSubscription, async (req, res) => {
+  try {
+    const usage = await getUsageSummary(req.subscription);
+    res.json({ usage });
   } catch (error) {
-    console.error('Download error:', error);
+    console.error('Usage error:', error);
     res.status(500).json({
       error: 'Server Error',
-      message: 'Unable to download file'
+      message: 'Unable to fetch usage'
     });
   }
 });
@@ -210,7 +797,7 @@ router.get('/download/:filename', requireAuth, requireSubscription, async (req,
  * Check if user has access to articles
  * Used by frontend to show/hide premium content
  */
-router.get('/verify', requireAuth, async (req, res) => {
+router.get('/verify', allowApiKey('articles:read'), requireAuth, async (req, res) => {
   try {
     const subscriptions = await db.subscriptions.findActiveByUserId(req.userId);
     const hasAccess = subscriptions.length > 0;
@@ -219,7 +806,8 @@ router.get('/verify', requireAuth, async (req, res) => {
       hasAccess,
       subscription: hasAccess ? {
         planId: subscriptions[0].plan_id,
-        expiresAt: subscriptions[0].expires_at
+        expiresAt: subscriptions[0].expires_at,
+        entitlements: getPlan(subscriptions[0].plan_id)?.entitlements || null
       } : null
     });
   } catch (error) {
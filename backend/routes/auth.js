@@ -8,12 +8,61 @@
  * ✅ Password requirements (12+ chars)
  * ✅ No user enumeration (generic error messages)
  * ✅ Audit logging on all auth events
+ * ✅ Session id regenerated on login/signup (no session fixation)
+ * ✅ Per-device session listing and revocation
+ * ✅ Password reset with hashed, single-use, expiring tokens; a reset
+ *    signs the account out everywhere
+ * ✅ Email verification with signed, expiring links; what unverified
+ *    accounts may do is set by config/verification.js
+ * ✅ Optional TOTP two-factor login (management in routes/twoFactor.js)
+ * ✅ Failed logins throttled per email, across IPs: exponential backoff,
+ *    then a temporary lockout with an emailed unlock link
+ * ✅ Self-service: email changes confirmed from the new inbox, password
+ *    changes and account deletion need the current password
  */
 
 import express from 'express';
 import bcrypt from 'bcryptjs';
 import { db } from '../models/user.js';
 import { requireAuth } from '../middleware/auth.js';
+import { sessionStore } from '../models/session.js';
+import { getUserRole } from '../config/roles.js';
+import {
+  generateResetToken,
+  redeemResetToken,
+  resetLink,
+  RESET_REQUEST_INTERVAL_MS,
+  RESET_TOKEN_TTL_MS
+} from '../models/passwordReset.js';
+import {
+  checkVerificationToken,
+  createVerificationToken,
+  getVerificationTokenUserId,
+  verificationLink,
+  VERIFICATION_RESEND_INTERVAL_MS,
+  VERIFICATION_TTL_SECONDS
+} from '../models/emailVerification.js';
+import { isEmailVerified, unverifiedUsersCan } from '../config/verification.js';
+import { checkSecondFactor, isTwoFactorEnabled } from '../models/twoFactor.js';
+import {
+  clearLoginFailures,
+  normalizeEmail,
+  recordLoginFailure,
+  releaseLoginAttempt,
+  reserveLoginAttempt,
+  unlockLink,
+  unlockWithToken
+} from '../models/loginThrottle.js';
+import {
+  deleteAccount,
+  emailChangeLink,
+  EMAIL_CHANGE_TTL_MS,
+  generateEmailChangeToken,
+  getPendingEmail,
+  hashEmailChangeToken
+} from '../models/account.js';
+import { clearWatermarkCache } from '../models/watermark.js';
+import { sendMail } from '../utils/mail.js';
 
 const router = express.Router();
 
@@ -21,6 +70,12 @@ const router = express.Router();
 const PASSWORD_MIN_LENGTH = 12;
 const PASSWORD_REGEX = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{12,}$/;
 
+const NAME_MAX_LENGTH = 100;
+
+// Second login step: time and attempts allowed before starting over
+const TWO_FACTOR_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+
 function validatePassword(password) {
   if (password.length < PASSWORD_MIN_LENGTH) {
     return {
@@ -42,6 +97,109 @@ function validateEmail(email) {
   return emailRegex.test(email);
 }
 
+/**
+ * Start a fresh authenticated session for a user
+ * SECURITY: Regenerates the session id so a pre-login id planted by an
+ * attacker (session fixation) never becomes authenticated
+ */
+function establishSession(req, user) {
+  return new Promise((resolve, reject) => {
+    req.session.regenerate((err) => {
+      if (err) return reject(err);
+
+      req.session.userId = user.id;
+      req.session.userEmail = user.email;
+      req.session.ip = req.ip;
+      req.session.userAgent = req.get('user-agent') || null;
+      resolve();
+    });
+  });
+}
+
+/**
+ * Park a password-verified login until the second factor is checked
+ * SECURITY: New session id, and no userId on it, so requireAuth still
+ * treats the browser as logged out
+ */
+function startTwoFactorChallenge(req, user) {
+  return new Promise((resolve, reject) => {
+    req.session.regenerate((err) => {
+      if (err) return reject(err);
+
+      req.session.twoFactor = {
+        userId: user.id,
+        expiresAt: Date.now() + TWO_FACTOR_CHALLENGE_TTL_MS,
+        attempts: 0
+      };
+      resolve();
+    });
+  });
+}
+
+function toAuthUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    emailVerified: isEmailVerified(user)
+  };
+}
+
+/**
+ * Refuse a login for an email that is backing off or locked out
+ * SECURITY: Same response whether or not the account exists
+ */
+function sendLoginThrottled(res, throttle) {
+  res.set('Retry-After', String(throttle.retryAfterSeconds));
+  return res.status(429).json({
+    error: 'Too Many Attempts',
+    message: throttle.locked
+      ? 'Too many failed login attempts. Try again later, reset your password, or use the unlock link we emailed if this is your account.'
+      : `Too many failed login attempts. Please wait ${throttle.retryAfterSeconds} second${throttle.retryAfterSeconds === 1 ? '' : 's'} and try again.`,
+    retryAfter: throttle.retryAfterSeconds
+  });
+}
+
+/**
+ * Audit a lockout and email the unlock link, if the account exists
+ */
+async function notifyLockout(email, { failures, lockedUntil, unlockToken }, ip) {
+  const user = await db.users.findByEmail(email);
+  if (!user) return;
+
+  await db.audit.log(user.id, 'account_locked', { failures, lockedUntil, ip });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Your Berlin-Benz account has been locked',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      `We locked your Berlin-Benz account after ${failures} failed login attempts. It unlocks by itself at ${lockedUntil.toUTCString()}.`,
+      '',
+      'If these attempts were you, unlock it now with this link (it works once):',
+      '',
+      unlockLink(unlockToken),
+      '',
+      "If they weren't you, someone may know your email address. Consider resetting your password, and turn on two-factor authentication."
+    ].join('\n')
+  });
+}
+
+/**
+ * Count a failed password or second factor for an email
+ * The lockout email is sent in the background, so existing and unknown
+ * accounts answer equally fast
+ */
+async function registerLoginFailure(email, ip) {
+  const lockout = await recordLoginFailure(email);
+  if (lockout.lockedUntil) {
+    notifyLockout(normalizeEmail(email), lockout, ip).catch(error => {
+      console.error('Lockout email error:', error);
+    });
+  }
+}
+
 /**
  * POST /api/auth/signup
  * Register new user
@@ -50,7 +208,9 @@ function validateEmail(email) {
  * - Password hashed with bcrypt (10 rounds)
  * - Email validation
  * - User enumeration prevention (generic message)
- * - Session created server-side
+ * - Account starts unverified; a verification link is emailed
+ * - Session created server-side (unless the verification policy
+ *   requires verifying before login)
  */
 router.post('/signup', async (req, res) => {
   try {
@@ -106,9 +266,12 @@ router.post('/signup', async (req, res) => {
       name.trim()
     );
 
-    // CREATE SERVER-SIDE SESSION (httpOnly cookie)
-    req.session.userId = user.id;
-    req.session.userEmail = user.email;
+    // CREATE SERVER-SIDE SESSION (httpOnly cookie), if the
+    // verification policy lets unverified accounts sign in
+    const signedIn = unverifiedUsersCan('login');
+    if (signedIn) {
+      await establishSession(req, user);
+    }
 
     // AUDIT LOG
     await db.audit.log(user.id, 'signup', {
@@ -116,12 +279,21 @@ router.post('/signup', async (req, res) => {
       ip: req.ip
     });
 
+    // VERIFICATION EMAIL (in the background; can be resent)
+    sendVerificationEmail(user).catch(error => {
+      console.error('Verification email error:', error);
+    });
+
     res.status(201).json({
-      message: 'Account created successfully',
+      message: signedIn
+        ? 'Account created successfully. Check your email to verify your address.'
+        : 'Account created. Check your email to verify your address, then log in.',
+      signedIn,
       user: {
         id: user.id,
         email: user.email,
-        name: user.name
+        name: user.name,
+        emailVerified: false
       }
     });
   } catch (error) {
@@ -141,7 +313,10 @@ router.post('/signup', async (req, res) => {
  * - Bcrypt comparison (timing-safe)
  * - Generic error messages
  * - Session created server-side
- * - Rate limited at route level
+ * - Rate limited at route level, and per email across IPs
+ *   (see models/loginThrottle.js)
+ * - Accounts with 2FA get { twoFactorRequired: true } and must finish
+ *   with POST /login/2fa before the session is authenticated
  */
 router.post('/login', async (req, res) => {
   try {
@@ -155,9 +330,25 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // FIND USER
-    const user = await db.users.findByEmail(email.toLowerCase());
-    if (!user) {
+    // PER-EMAIL THROTTLE (before the password is even checked; the
+    // attempt stays reserved until its failure is counted)
+    const throttle = await reserveLoginAttempt(email);
+    if (!throttle.allowed) {
+      return sendLoginThrottled(res, throttle);
+    }
+
+    let user;
+    let passwordMatch = false;
+    try {
+      // FIND USER, COMPARE PASSWORD (bcrypt timing-safe comparison)
+      user = await db.users.findByEmail(normalizeEmail(email));
+      passwordMatch = Boolean(user) && await bcrypt.compare(password, user.password_hash);
+      if (!passwordMatch) await registerLoginFailure(email, req.ip);
+    } finally {
+      releaseLoginAttempt(email);
+    }
+
+    if (!passwordMatch) {
       // SECURITY: Generic message - don't reveal if user exists
       return res.status(401).json({
         error: 'Authentication Failed',
@@ -165,22 +356,34 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // COMPARE PASSWORD (bcrypt timing-safe comparison)
-    const passwordMatch = await bcrypt.compare(password, user.password_hash);
-    if (!passwordMatch) {
-      // SECURITY: Generic message
-      return res.status(401).json({
-        error: 'Authentication Failed',
-        message: 'Invalid email or password'
+    // EMAIL VERIFICATION POLICY (only after the password checked out,
+    // so it reveals nothing about unknown accounts)
+    if (!isEmailVerified(user) && !unverifiedUsersCan('login')) {
+      return res.status(403).json({
+        error: 'Email Not Verified',
+        message: 'Please verify your email address before logging in. Check your inbox or request a new link.',
+        emailVerificationRequired: true
+      });
+    }
+
+    // TWO-FACTOR: the session only becomes authenticated after
+    // POST /login/2fa
+    if (isTwoFactorEnabled(user)) {
+      await startTwoFactorChallenge(req, user);
+      await db.audit.log(user.id, '2fa_challenge_started', { ip: req.ip });
+
+      return res.json({
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true
       });
     }
 
     // CREATE SERVER-SIDE SESSION
-    req.session.userId = user.id;
-    req.session.userEmail = user.email;
+    await establishSession(req, user);
 
     // UPDATE LAST LOGIN
     await db.users.updateLastLogin(user.id);
+    await clearLoginFailures(user.email);
 
     // AUDIT LOG
     await db.audit.log(user.id, 'login', {
@@ -190,11 +393,7 @@ router.post('/login', async (req, res) => {
 
     res.json({
       message: 'Login successful',
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name
-      }
+      user: toAuthUser(user)
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -205,6 +404,103 @@ router.post('/login', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/login/2fa
+ * Second login step for accounts with two-factor auth
+ * Body: { code } (authenticator app) or { recoveryCode }
+ *
+ * SECURITY:
+ * - Only after a correct password in the same browser session
+ * - Challenge expires after 5 minutes or 5 wrong codes
+ * - Wrong codes count toward the per-email lockout too
+ * - Codes can't be replayed; recovery codes work once
+ */
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const challenge = req.session?.twoFactor;
+    if (!challenge || challenge.expiresAt < Date.now()) {
+      if (challenge) delete req.session.twoFactor;
+      return res.status(401).json({
+        error: 'Authentication Failed',
+        message: 'Your login has expired. Please log in again.'
+      });
+    }
+
+    const { code, recoveryCode } = req.body || {};
+    if ((!code && !recoveryCode) ||
+        [code, recoveryCode].some(value => value !== undefined && typeof value !== 'string')) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Enter the code from your authenticator app or a recovery code'
+      });
+    }
+
+    const user = await db.users.findById(challenge.userId);
+    const throttle = user ? await reserveLoginAttempt(user.email) : { allowed: true };
+    if (!throttle.allowed) {
+      delete req.session.twoFactor;
+      return sendLoginThrottled(res, throttle);
+    }
+
+    let method = null;
+    try {
+      method = isTwoFactorEnabled(user)
+        ? await checkSecondFactor(user, { code, recoveryCode })
+        : null;
+      if (!method && user) await registerLoginFailure(user.email, req.ip);
+    } finally {
+      if (user) releaseLoginAttempt(user.email);
+    }
+
+    if (!method) {
+      challenge.attempts += 1;
+      await db.audit.log(challenge.userId, '2fa_failed', {
+        attempts: challenge.attempts,
+        ip: req.ip
+      });
+
+      const exhausted = challenge.attempts >= TWO_FACTOR_MAX_ATTEMPTS;
+      if (exhausted) delete req.session.twoFactor;
+
+      return res.status(401).json({
+        error: 'Authentication Failed',
+        message: exhausted
+          ? 'Too many invalid codes. Please log in again.'
+          : 'Invalid authentication code'
+      });
+    }
+
+    // CREATE SERVER-SIDE SESSION (regenerated; drops the challenge)
+    await establishSession(req, user);
+    await db.users.updateLastLogin(user.id);
+    await clearLoginFailures(user.email);
+
+    await db.audit.log(user.id, 'login', {
+      email: user.email,
+      secondFactor: method,
+      ip: req.ip
+    });
+    if (method === 'recovery_code') {
+      await db.audit.log(user.id, '2fa_recovery_code_used', {
+        // user was loaded before the code was burned
+        remaining: user.recovery_code_hashes.length - 1,
+        ip: req.ip
+      });
+    }
+
+    res.json({
+      message: 'Login successful',
+      user: toAuthUser(user)
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to log in. Please try again.'
+    });
+  }
+});
+
 /**
  * POST /api/auth/logout
  * Destroy session
@@ -232,6 +528,296 @@ router.post('/logout', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * Create a reset token and email the link, if the account exists
+ * Runs after the response is sent (see POST /forgot)
+ */
+async function sendPasswordReset(email, ip) {
+  const user = await db.users.findByEmail(email);
+  if (!user) return;
+
+  // Don't let the endpoint be used to flood someone's inbox
+  const [latest] = await db.passwordResets.findByUserId(user.id);
+  if (latest && Date.now() - new Date(latest.created_at) < RESET_REQUEST_INTERVAL_MS) return;
+
+  await db.passwordResets.invalidateForUser(user.id);
+  const { token, hash, expiresAt } = generateResetToken();
+  await db.passwordResets.create(user.id, hash, expiresAt);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your Berlin-Benz password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      `Someone asked to reset the password for your Berlin-Benz account. Open this link within ${RESET_TOKEN_TTL_MS / 60000} minutes to choose a new password:`,
+      '',
+      resetLink(token),
+      '',
+      "If this wasn't you, you can ignore this email. Your password won't change."
+    ].join('\n')
+  });
+
+  await db.audit.log(user.id, 'password_reset_requested', { ip });
+}
+
+/**
+ * POST /api/auth/forgot
+ * Email a password reset link
+ * Body: { email }
+ *
+ * SECURITY:
+ * - Same response whether or not the account exists (no enumeration)
+ * - Work happens after the response, so timing doesn't tell either
+ * - At most one email per account per minute
+ */
+router.post('/forgot', async (req, res) => {
+  const email = typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+
+  if (!email || !validateEmail(email)) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'Invalid email format'
+    });
+  }
+
+  res.json({
+    message: 'If an account exists for that email, we have sent a link to reset the password.'
+  });
+
+  sendPasswordReset(email, req.ip).catch(error => {
+    console.error('Password reset email error:', error);
+  });
+});
+
+/**
+ * POST /api/auth/reset
+ * Set a new password with a token from the reset email
+ * Body: { token, password, confirmPassword }
+ *
+ * SECURITY:
+ * - Token is single use and expires (see models/passwordReset.js)
+ * - Signs the account out everywhere, including this browser
+ * - Lifts a login lockout (the owner proved access to the mailbox)
+ */
+router.post('/reset', async (req, res) => {
+  try {
+    const { token, password, confirmPassword } = req.body || {};
+
+    if (!token || !password || !confirmPassword) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'All fields are required'
+      });
+    }
+
+    if (password !== confirmPassword) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Passwords do not match'
+      });
+    }
+
+    const passwordValidation = validatePassword(password);
+    if (!passwordValidation.valid) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: passwordValidation.error
+      });
+    }
+
+    // SECURITY: Burn the token before anything else, so it can't be replayed
+    const record = await redeemResetToken(token);
+    const user = record ? await db.users.findById(record.user_id) : null;
+    if (!user) {
+      return res.status(400).json({
+        error: 'Invalid Token',
+        message: 'This reset link is invalid or has expired. Please request a new one.'
+      });
+    }
+
+    await db.passwordResets.invalidateForUser(user.id);
+
+    await db.users.updatePassword(user.id, await bcrypt.hash(password, 10));
+    const revoked = await sessionStore.destroyByUserId(user.id);
+
+    await db.audit.log(user.id, 'password_reset', {
+      sessionsRevoked: revoked,
+      ip: req.ip
+    });
+    if (await clearLoginFailures(user.email)) {
+      await db.audit.log(user.id, 'account_unlocked', { method: 'password_reset', ip: req.ip });
+    }
+
+    // The store record is gone; drop this browser's copy too
+    if (req.session?.userId) {
+      req.session.destroy(() => {});
+      res.clearCookie('connect.sid');
+    }
+
+    res.json({ message: 'Password updated. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to reset password. Please try again.'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/unlock
+ * Lift a login lockout with the token from the lockout email
+ * Body: { token }
+ */
+router.post('/unlock', async (req, res) => {
+  try {
+    const token = typeof req.body?.token === 'string' ? req.body.token : '';
+    const email = token ? await unlockWithToken(token) : null;
+
+    if (!email) {
+      return res.status(400).json({
+        error: 'Invalid Token',
+        message: 'This unlock link is invalid or has already been used.'
+      });
+    }
+
+    const user = await db.users.findByEmail(email);
+    if (user) {
+      await db.audit.log(user.id, 'account_unlocked', { method: 'email_link', ip: req.ip });
+    }
+
+    res.json({ message: 'Your account is unlocked. You can log in now.' });
+  } catch (error) {
+    console.error('Unlock error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to unlock account. Please try again.'
+    });
+  }
+});
+
+/**
+ * Email a verification link to an account
+ */
+async function sendVerificationEmail(user) {
+  const token = createVerificationToken(user);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Berlin-Benz email address',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      `Please confirm this is your email address by opening the link below within ${VERIFICATION_TTL_SECONDS / 3600} hours:`,
+      '',
+      verificationLink(token),
+      '',
+      "If you didn't create a Berlin-Benz account, you can ignore this email."
+    ].join('\n')
+  });
+
+  await db.users.markVerificationSent(user.id);
+}
+
+/**
+ * Send a fresh verification link, if the account exists and still
+ * needs one. Runs after the response is sent (see POST /verify-email/resend)
+ */
+async function resendVerificationEmail(email, ip) {
+  const user = await db.users.findByEmail(email);
+  if (!user || isEmailVerified(user)) return;
+
+  if (user.verification_sent_at &&
+      Date.now() - new Date(user.verification_sent_at) < VERIFICATION_RESEND_INTERVAL_MS) {
+    return;
+  }
+
+  await sendVerificationEmail(user);
+  await db.audit.log(user.id, 'verification_resent', { ip });
+}
+
+/**
+ * POST /api/auth/verify-email
+ * Confirm an email address with the token from the verification link
+ * Body: { token }
+ */
+router.post('/verify-email', async (req, res) => {
+  try {
+    const token = typeof req.body?.token === 'string' ? req.body.token : '';
+    const userId = token ? getVerificationTokenUserId(token) : null;
+    const user = userId ? await db.users.findById(userId) : null;
+
+    if (!user || !checkVerificationToken(token, user).valid) {
+      return res.status(400).json({
+        error: 'Invalid Token',
+        message: 'This verification link is invalid or has expired. Please request a new one.'
+      });
+    }
+
+    if (!isEmailVerified(user)) {
+      await db.users.markEmailVerified(user.id);
+      await db.audit.log(user.id, 'email_verified', {
+        email: user.email,
+        ip: req.ip
+      });
+    }
+
+    res.json({ message: 'Email address verified', emailVerified: true });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to verify email. Please try again.'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/verify-email/resend
+ * Send a new verification link to the signed-in account, or to
+ * { email } for people who can't log in until they verify
+ *
+ * SECURITY:
+ * - Same response whether or not the account exists (no enumeration)
+ * - Own rate limit (server.js) plus one email per account per minute
+ */
+router.post('/verify-email/resend', async (req, res) => {
+  try {
+    let email;
+    if (req.session?.userId) {
+      const user = await db.users.findById(req.session.userId);
+      if (isEmailVerified(user)) {
+        return res.json({ message: 'Your email address is already verified', emailVerified: true });
+      }
+      email = user?.email;
+    } else {
+      email = typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    }
+
+    if (!email || !validateEmail(email)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid email format'
+      });
+    }
+
+    res.json({
+      message: 'If that account still needs verifying, we have sent a new verification link.'
+    });
+
+    resendVerificationEmail(email, req.ip).catch(error => {
+      console.error('Verification email error:', error);
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to send verification email. Please try again.'
+    });
+  }
+});
+
 /**
  * GET /api/auth/me
  * Get current authenticated user
@@ -260,7 +846,10 @@ router.get('/me', async (req, res) => {
       user: {
         id: user.id,
         email: user.email,
-        name: user.name
+        name: user.name,
+        role: getUserRole(user),
+        emailVerified: isEmailVerified(user),
+        pendingEmail: getPendingEmail(user)
       }
     });
   } catch (error) {
@@ -272,5 +861,424 @@ router.get('/me', async (req, res) => {
   }
 });
 
+/**
+ * Email the confirmation link to a new address, unless another account
+ * already uses it. Runs after the response is sent (see PATCH /me)
+ */
+async function sendEmailChangeLink(user, newEmail, token) {
+  if (await db.users.findByEmail(newEmail)) return;
+
+  await sendMail({
+    to: newEmail,
+    subject: 'Confirm your new Berlin-Benz email address',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      `Please confirm you want to use this address for your Berlin-Benz account by opening the link below within ${EMAIL_CHANGE_TTL_MS / 3600000} hours:`,
+      '',
+      emailChangeLink(token),
+      '',
+      "If you didn't ask for this, you can ignore this email."
+    ].join('\n')
+  });
+}
+
+/**
+ * PATCH /api/auth/me
+ * Update the current user's profile
+ * Body: { name } and/or { email, currentPassword }
+ *
+ * SECURITY:
+ * - A new email needs the current password, and only takes effect once
+ *   the link sent to it is opened (POST /email/confirm)
+ * - Same response whether or not the new address is taken (no enumeration)
+ */
+router.patch('/me', requireAuth, async (req, res) => {
+  try {
+    const { name, email, currentPassword } = req.body || {};
+
+    if (name === undefined && email === undefined) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Nothing to update'
+      });
+    }
+
+    if (name !== undefined &&
+        (typeof name !== 'string' || !name.trim() || name.trim().length > NAME_MAX_LENGTH)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Name must be between 1 and ${NAME_MAX_LENGTH} characters`
+      });
+    }
+
+    const user = await db.users.findById(req.userId);
+    const newEmail = email === undefined ? null : normalizeEmail(typeof email === 'string' ? email : '');
+
+    if (newEmail !== null) {
+      if (!validateEmail(newEmail)) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'Invalid email format'
+        });
+      }
+      if (newEmail === user.email) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'That is already your email address'
+        });
+      }
+      if (typeof currentPassword !== 'string' ||
+          !(await bcrypt.compare(currentPassword, user.password_hash))) {
+        await db.audit.log(user.id, 'email_change_failed', { ip: req.ip });
+        return res.status(401).json({
+          error: 'Authentication Failed',
+          message: 'Current password is incorrect'
+        });
+      }
+    }
+
+    if (name !== undefined && name.trim() !== user.name) {
+      await db.users.updateProfile(user.id, { name: name.trim() });
+      await db.audit.log(user.id, 'profile_updated', { fields: ['name'], ip: req.ip });
+    }
+
+    if (newEmail !== null) {
+      const { token, hash, expiresAt } = generateEmailChangeToken();
+      await db.users.startEmailChange(user.id, newEmail, hash, expiresAt);
+      await db.audit.log(user.id, 'email_change_requested', { to: newEmail, ip: req.ip });
+
+      sendEmailChangeLink(user, newEmail, token).catch(error => {
+        console.error('Email change email error:', error);
+      });
+    }
+
+    const updated = await db.users.findById(user.id);
+    res.json({
+      message: newEmail
+        ? `We sent a confirmation link to ${newEmail}. Your email address changes once you open it.`
+        : 'Profile updated',
+      user: toAuthUser(updated),
+      pendingEmail: getPendingEmail(updated)
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to update profile. Please try again.'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/email/confirm
+ * Switch to the new address with the token from the confirmation link
+ * Body: { token }
+ *
+ * Works without a session: the link may be opened on another device.
+ */
+router.post('/email/confirm', async (req, res) => {
+  try {
+    const token = typeof req.body?.token === 'string' ? req.body.token : '';
+    const user = token ? await db.users.findByEmailChangeHash(hashEmailChangeToken(token)) : null;
+
+    if (!getPendingEmail(user)) {
+      return res.status(400).json({
+        error: 'Invalid Token',
+        message: 'This confirmation link is invalid or has expired. Please request the change again.'
+      });
+    }
+
+    const previousEmail = user.email;
+    const newEmail = user.pending_email;
+
+    // Someone may have signed up with the address in the meantime
+    const owner = await db.users.findByEmail(newEmail);
+    if (owner && owner.id !== user.id) {
+      await db.users.startEmailChange(user.id, null, null, null);
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'This email address is already used by another account'
+      });
+    }
+
+    await db.users.changeEmail(user.id, newEmail);
+    // Stamped PDFs carry the old address
+    await clearWatermarkCache(user.id);
+    await db.audit.log(user.id, 'email_changed', {
+      from: previousEmail,
+      to: newEmail,
+      ip: req.ip
+    });
+
+    if (req.session?.userId === user.id) {
+      req.session.userEmail = newEmail;
+    }
+
+    sendMail({
+      to: previousEmail,
+      subject: 'Your Berlin-Benz email address was changed',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        `The email address of your Berlin-Benz account was changed to ${newEmail}. Use it to log in from now on.`,
+        '',
+        "If this wasn't you, contact us right away."
+      ].join('\n')
+    }).catch(error => {
+      console.error('Email change notice error:', error);
+    });
+
+    res.json({ message: 'Email address changed', email: newEmail, emailVerified: true });
+  } catch (error) {
+    console.error('Confirm email change error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to change email address. Please try again.'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/password
+ * Change the password of the signed-in user
+ * Body: { currentPassword, password, confirmPassword }
+ *
+ * SECURITY:
+ * - Current password required
+ * - Every other device is signed out, and this browser gets a new
+ *   session id
+ * - Outstanding reset links stop working
+ */
+router.post('/password', requireAuth, async (req, res) => {
+  try {
+    const { currentPassword, password, confirmPassword } = req.body || {};
+
+    if (!currentPassword || !password || !confirmPassword) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'All fields are required'
+      });
+    }
+
+    if (password !== confirmPassword) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Passwords do not match'
+      });
+    }
+
+    const passwordValidation = validatePassword(password);
+    if (!passwordValidation.valid) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: passwordValidation.error
+      });
+    }
+
+    const user = await db.users.findById(req.userId);
+    if (!(await bcrypt.compare(currentPassword, user.password_hash))) {
+      await db.audit.log(user.id, 'password_change_failed', { ip: req.ip });
+      return res.status(401).json({
+        error: 'Authentication Failed',
+        message: 'Current password is incorrect'
+      });
+    }
+
+    await db.users.updatePassword(user.id, await bcrypt.hash(password, 10));
+    await db.passwordResets.invalidateForUser(user.id);
+
+    const revoked = await sessionStore.destroyByUserId(user.id, { except: req.sessionID });
+    await establishSession(req, user);
+
+    await db.audit.log(user.id, 'password_changed', {
+      sessionsRevoked: revoked,
+      ip: req.ip
+    });
+
+    sendMail({
+      to: user.email,
+      subject: 'Your Berlin-Benz password was changed',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'The password of your Berlin-Benz account was just changed, and your other devices were signed out.',
+        '',
+        "If this wasn't you, reset your password right away from the login page."
+      ].join('\n')
+    }).catch(error => {
+      console.error('Password change notice error:', error);
+    });
+
+    res.json({
+      message: 'Password changed. Your other devices have been signed out.',
+      sessionsRevoked: revoked
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to change password. Please try again.'
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/me
+ * Delete the current user's account
+ * Body: { password } plus { code } or { recoveryCode } with 2FA
+ *
+ * Cancels subscriptions, keeps payments for accounting without the
+ * account link and removes all other personal data (models/account.js).
+ *
+ * SECURITY:
+ * - Password (and second factor, if enabled) required
+ * - The last admin can't delete their account
+ * - Every session of the account is ended
+ */
+router.delete('/me', requireAuth, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body || {};
+    const user = await db.users.findById(req.userId);
+
+    const fail = async (reason) => {
+      await db.audit.log(user.id, 'account_deletion_failed', { reason, ip: req.ip });
+      return res.status(401).json({
+        error: 'Authentication Failed',
+        message: 'Invalid password or authentication code'
+      });
+    };
+
+    if (typeof password !== 'string' || !(await bcrypt.compare(password, user.password_hash))) {
+      return await fail('password');
+    }
+
+    if (isTwoFactorEnabled(user) &&
+        ([code, recoveryCode].some(value => value !== undefined && typeof value !== 'string') ||
+         !(await checkSecondFactor(user, { code, recoveryCode })))) {
+      return await fail('code');
+    }
+
+    if (getUserRole(user) === 'admin' && (await db.users.findByRole('admin')).length <= 1) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'You are the only admin. Make another account an admin before deleting yours.'
+      });
+    }
+
+    const summary = await deleteAccount(user);
+    // No email or IP: the record only shows that the account existed
+    await db.audit.log(user.id, 'account_deleted', summary);
+
+    // The store record is gone; drop this browser's copy too
+    req.session.destroy(() => {});
+    res.clearCookie('connect.sid');
+
+    res.json({ message: 'Your account has been deleted', ...summary });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to delete account. Please try again.'
+    });
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * List the current user's signed-in devices
+ *
+ * SECURITY: Returns public ids only, never the session cookie value
+ */
+router.get('/sessions', requireAuth, async (req, res) => {
+  try {
+    const records = await sessionStore.listByUserId(req.userId);
+
+    res.json({
+      sessions: records.map(record => ({
+        id: record.public_id,
+        current: record.id === req.sessionID,
+        ip: record.ip,
+        userAgent: record.user_agent,
+        createdAt: record.created_at,
+        lastActiveAt: record.last_active_at,
+        expiresAt: record.expires_at
+      }))
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to fetch sessions'
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions
+ * Sign out everywhere except the current device
+ */
+router.delete('/sessions', requireAuth, async (req, res) => {
+  try {
+    const revoked = await sessionStore.destroyByUserId(req.userId, {
+      except: req.sessionID
+    });
+
+    await db.audit.log(req.userId, 'sessions_revoked', {
+      count: revoked,
+      ip: req.ip
+    });
+
+    res.json({ message: 'Signed out of all other sessions', revoked });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to revoke sessions'
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Sign out a single device by its public session id
+ *
+ * SECURITY: Lookup is scoped to the current user, so ids belonging to
+ * other accounts are indistinguishable from unknown ids
+ */
+router.delete('/sessions/:id', requireAuth, async (req, res) => {
+  try {
+    const record = await sessionStore.findByPublicId(req.userId, req.params.id);
+    if (!record) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Session not found'
+      });
+    }
+
+    await new Promise((resolve, reject) => {
+      sessionStore.destroy(record.id, err => (err ? reject(err) : resolve()));
+    });
+
+    await db.audit.log(req.userId, 'session_revoked', {
+      sessionId: record.public_id,
+      ip: req.ip
+    });
+
+    const current = record.id === req.sessionID;
+    if (current) {
+      res.clearCookie('connect.sid');
+    }
+
+    res.json({ message: 'Session revoked', current });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to revoke session'
+    });
+  }
+});
+
 export default router;
 
@@ -0,0 +1,293 @@
+/**
+ * ARTICLE FEEDS
+ *
+ * RSS 2.0, Atom and JSON Feed versions of the article catalog:
+ * - /feeds/articles.(rss|atom|json)                  Public catalog
+ * - /feeds/personal/:token/articles.(rss|atom|json)  Subscriber feed
+ *
+ * Personal feeds add signed download enclosures for the premium articles
+ * the subscriber's plan unlocks. The token is managed at /feeds/token.
+ *
+ * SECURITY:
+ * ✅ Same release schedule as /api/articles (unreleased items hidden)
+ * ✅ Personal token stored hashed, revocable, one active per user
+ * ✅ Plan and entitlements re-checked on every poll
+ * ✅ Enclosures are user-bound signed links (quota charged on download)
+ *
+ * CACHING:
+ * Strong ETag (hash of the body) and Last-Modified; 304 on revalidation.
+ * Signed enclosure links expire on fixed daily boundaries so the body
+ * (and ETag) stays identical between polls within a day.
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import { requireAuth, requireSubscription, requireVerifiedEmail } from '../middleware/auth.js';
+import { db } from '../models/user.js';
+import {
+  getArticles,
+  getCatalogUpdatedAt,
+  getPublishedDate,
+  isArticleReleased,
+  publicFileUrl
+} from '../models/article.js';
+import {
+  generateFeedToken,
+  hashFeedToken,
+  toPublicFeedToken
+} from '../models/feedToken.js';
+import { renderFeed, FEED_FORMATS } from '../utils/feed.js';
+import { isNotModified } from '../utils/fileResponse.js';
+import { signArticleUrl } from '../utils/signedUrl.js';
+import { planMeetsTier, hasEntitlement } from '../config/plans.js';
+
+const router = express.Router();
+
+const FEED_TITLE = 'Berlin-Benz Articles';
+const FEED_DESCRIPTION = 'New articles from Berlin-Benz';
+const FEED_MAX_AGE_SECONDS = 5 * 60;
+const LINK_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+function backendUrl(req) {
+  return process.env.BACKEND_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+function frontendUrl() {
+  return process.env.FRONTEND_URL;
+}
+
+/**
+ * Build the feed for a viewer
+ *
+ * @param {Object} req
+ * @param {Object} options
+ * @param {string|null} options.planId - Active plan, or null for the public feed
+ * @param {string} [options.userId] - Personal feed owner (for signed enclosures)
+ * @param {string} options.feedUrl - Absolute URL of this feed
+ */
+function buildFeed(req, { planId, userId, feedUrl }) {
+  const now = new Date();
+  const windowStart = Math.floor(now.getTime() / LINK_WINDOW_MS) * LINK_WINDOW_MS;
+  const linksExpireAt = new Date(windowStart + 2 * LINK_WINDOW_MS);
+
+  const items = getArticles()
+    .filter(article => isArticleReleased(article, planId, now))
+    .map(article => {
+      const item = {
+        id: `urn:berlin-benz:article:${article.id}`,
+        title: article.title,
+        summary: article.summary,
+        url: `${frontendUrl()}/index.html#${article.slug}`,
+        date: getPublishedDate(article, planId)
+      };
+
+      if (!article.filePath || article.size === null) return item;
+
+      if (!article.requiresSubscription) {
+        item.enclosure = {
+          url: article.file
+            ? `${frontendUrl()}/${encodeURI(article.file)}`
+            : `${backendUrl(req)}${publicFileUrl(article)}`,
+          type: article.mimeType,
+          length: article.size
+        };
+      } else if (userId && planMeetsTier(planId, article.tier) &&
+                 hasEntitlement(planId, 'article_type', article.type)) {
+        const { url } = signArticleUrl({
+          articleId: article.id,
+          userId,
+          disposition: hasEntitlement(planId, 'download') ? 'attachment' : 'inline',
+          expiresAt: linksExpireAt
+        });
+        item.enclosure = {
+          url: `${backendUrl(req)}${url}`,
+          type: article.mimeType,
+          length: article.size
+        };
+      }
+
+      return item;
+    })
+    .sort((a, b) => b.date - a.date);
+
+  const updated = items.reduce(
+    (latest, item) => (item.date > latest ? item.date : latest),
+    getCatalogUpdatedAt()
+  );
+
+  return {
+    title: FEED_TITLE,
+    description: FEED_DESCRIPTION,
+    homeUrl: `${frontendUrl()}/index.html`,
+    feedUrl,
+    // Personal feeds change when their signed links roll over
+    updated: userId && windowStart > updated.getTime() ? new Date(windowStart) : updated,
+    items
+  };
+}
+
+/**
+ * Render and send a feed with conditional GET support
+ */
+function sendFeed(req, res, { format, feed, scope }) {
+  const body = renderFeed(format, feed);
+  const etag = `"${crypto.createHash('sha256').update(body).digest('base64url')}"`;
+  const lastModified = new Date(Math.floor(feed.updated.getTime() / 1000) * 1000);
+
+  res.setHeader('ETag', etag);
+  res.setHeader('Last-Modified', lastModified.toUTCString());
+  res.setHeader('Cache-Control', `${scope}, max-age=${FEED_MAX_AGE_SECONDS}`);
+
+  if (isNotModified(req, { etag, lastModified })) {
+    return res.status(304).end();
+  }
+
+  res.type(FEED_FORMATS[format]).send(body);
+}
+
+function feedFormat(req, res, next) {
+  if (!Object.hasOwn(FEED_FORMATS, req.params.format)) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Feeds are available as .rss, .atom or .json'
+    });
+  }
+  next();
+}
+
+/**
+ * GET /feeds/articles.(rss|atom|json)
+ * Public catalog feed (premium items link to the site, no enclosure)
+ */
+router.get('/articles.:format', feedFormat, (req, res) => {
+  try {
+    const { format } = req.params;
+    const feed = buildFeed(req, {
+      planId: null,
+      feedUrl: `${backendUrl(req)}/feeds/articles.${format}`
+    });
+    sendFeed(req, res, { format, feed, scope: 'public' });
+  } catch (error) {
+    console.error('Feed error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to build feed'
+    });
+  }
+});
+
+/**
+ * GET /feeds/personal/:token/articles.(rss|atom|json)
+ * Subscriber feed with signed enclosures for entitled premium items
+ * Falls back to public items if the subscription has lapsed
+ */
+router.get('/personal/:token/articles.:format', feedFormat, async (req, res) => {
+  try {
+    const record = await db.feedTokens.findByHash(hashFeedToken(req.params.token));
+    if (!record || record.revoked_at) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Feed not found'
+      });
+    }
+
+    const subscriptions = await db.subscriptions.findActiveByUserId(record.user_id);
+    const { format } = req.params;
+    const feed = buildFeed(req, {
+      planId: subscriptions[0]?.plan_id || null,
+      userId: record.user_id,
+      feedUrl: `${backendUrl(req)}/feeds/personal/${req.params.token}/articles.${format}`
+    });
+    sendFeed(req, res, { format, feed, scope: 'private' });
+  } catch (error) {
+    console.error('Personal feed error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to build feed'
+    });
+  }
+});
+
+/**
+ * GET /feeds/token
+ * Current personal feed token (no secret), or null
+ */
+router.get('/token', requireAuth, async (req, res) => {
+  try {
+    const record = await db.feedTokens.findActiveByUserId(req.userId);
+    res.json({ feedToken: record ? toPublicFeedToken(record) : null });
+  } catch (error) {
+    console.error('Feed token error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to fetch feed token'
+    });
+  }
+});
+
+/**
+ * POST /feeds/token
+ * Create a personal feed URL (revokes the previous one)
+ * Returns the URLs ONCE
+ */
+router.post('/token', requireAuth, requireSubscription, requireVerifiedEmail('articles'), async (req, res) => {
+  try {
+    const previous = await db.feedTokens.findActiveByUserId(req.userId);
+    if (previous) {
+      await db.feedTokens.revoke(previous.id);
+    }
+
+    const { token, prefix, hash } = generateFeedToken();
+    const record = await db.feedTokens.create(req.userId, { prefix, hash });
+
+    await db.audit.log(req.userId, 'feed_token_created', {
+      tokenId: record.id,
+      previousTokenId: previous?.id || null,
+      ip: req.ip
+    });
+
+    const base = `${backendUrl(req)}/feeds/personal/${token}/articles`;
+    res.status(201).json({
+      message: 'Keep this URL private; anyone with it can read your feed',
+      feedToken: toPublicFeedToken(record),
+      urls: {
+        rss: `${base}.rss`,
+        atom: `${base}.atom`,
+        json: `${base}.json`
+      }
+    });
+  } catch (error) {
+    console.error('Create feed token error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to create feed URL'
+    });
+  }
+});
+
+/**
+ * DELETE /feeds/token
+ * Revoke the personal feed URL
+ */
+router.delete('/token', requireAuth, async (req, res) => {
+  try {
+    const record = await db.feedTokens.findActiveByUserId(req.userId);
+    if (record) {
+      await db.feedTokens.revoke(record.id);
+      await db.audit.log(req.userId, 'feed_token_revoked', {
+        tokenId: record.id,
+        ip: req.ip
+      });
+    }
+
+    res.json({ message: 'Feed URL revoked' });
+  } catch (error) {
+    console.error('Revoke feed token error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to revoke feed URL'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,260 @@
+/**
+ * READING LIBRARY ROUTES
+ *
+ * Bookmarks, "continue reading" progress and recently opened articles
+ * for the signed-in user.
+ *
+ * SECURITY:
+ * ✅ Session auth only (API keys are rejected by requireAuth)
+ * ✅ Users only ever see and change their own records
+ * ✅ Bookmarks only for articles the user can currently see
+ * ✅ Progress only for PDFs the user's plan can open
+ */
+
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { db } from '../models/user.js';
+import {
+  getArticle,
+  isArticleReleased,
+  toPublicArticle
+} from '../models/article.js';
+import {
+  canReadArticle,
+  getPageCount,
+  toProgressView
+} from '../models/library.js';
+
+const router = express.Router();
+
+const HISTORY_LIMIT = 20;
+
+/**
+ * Resolve req.params.articleId into req.article and the user's plan
+ * into req.planId. Articles the user can't see look like missing ones.
+ */
+async function loadVisibleArticle(req, res, next) {
+  try {
+    const subscriptions = await db.subscriptions.findActiveByUserId(req.userId);
+    const article = getArticle(req.params.articleId);
+    req.planId = subscriptions[0]?.plan_id || null;
+
+    if (!article || !isArticleReleased(article, req.planId)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Article not found'
+      });
+    }
+
+    req.article = article;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Progress is tracked for PDFs the user's plan can open
+ */
+function requireReadablePdf(req, res, next) {
+  if (req.article.type !== 'pdf' || !req.article.filePath) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'Reading progress is only tracked for PDF articles'
+    });
+  }
+
+  if (!canReadArticle(req.planId, req.article)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Your plan does not include this article',
+      requiredTier: req.article.tier
+    });
+  }
+
+  next();
+}
+
+/**
+ * GET /api/library
+ * Bookmarks, articles in progress and recently opened articles
+ * Entries for articles that were removed or are no longer visible are skipped
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const subscriptions = await db.subscriptions.findActiveByUserId(req.userId);
+    const planId = subscriptions[0]?.plan_id || null;
+    const visible = (articleId) => {
+      const article = getArticle(articleId);
+      return article && isArticleReleased(article, planId) ? article : null;
+    };
+
+    const progressRecords = await db.progress.findByUserId(req.userId);
+    const progressByArticle = new Map(
+      progressRecords.map(record => [record.article_id, toProgressView(record)])
+    );
+
+    const bookmarks = (await db.bookmarks.findByUserId(req.userId))
+      .filter(bookmark => visible(bookmark.article_id))
+      .map(bookmark => ({
+        article: toPublicArticle(visible(bookmark.article_id)),
+        bookmarkedAt: bookmark.created_at,
+        progress: progressByArticle.get(bookmark.article_id) || null
+      }));
+
+    const history = progressRecords
+      .filter(record => visible(record.article_id))
+      .slice(0, HISTORY_LIMIT)
+      .map(record => ({
+        article: toPublicArticle(visible(record.article_id)),
+        progress: toProgressView(record)
+      }));
+
+    res.json({
+      bookmarks,
+      continueReading: history.filter(entry =>
+        entry.progress.percent > 0 && entry.progress.percent < 100),
+      history
+    });
+  } catch (error) {
+    console.error('Library error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to fetch library'
+    });
+  }
+});
+
+/**
+ * PUT /api/library/bookmarks/:articleId
+ * Add an article to the reading list (idempotent)
+ */
+router.put('/bookmarks/:articleId', requireAuth, loadVisibleArticle, async (req, res) => {
+  try {
+    const existing = await db.bookmarks.find(req.userId, req.article.id);
+    const bookmark = existing || await db.bookmarks.create(req.userId, req.article.id);
+
+    res.status(existing ? 200 : 201).json({
+      articleId: req.article.id,
+      bookmarkedAt: bookmark.created_at
+    });
+  } catch (error) {
+    console.error('Bookmark error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to save bookmark'
+    });
+  }
+});
+
+/**
+ * DELETE /api/library/bookmarks/:articleId
+ * Remove an article from the reading list
+ */
+router.delete('/bookmarks/:articleId', requireAuth, async (req, res) => {
+  try {
+    const bookmark = await db.bookmarks.find(req.userId, req.params.articleId);
+    if (bookmark) {
+      await db.bookmarks.remove(bookmark.id);
+    }
+
+    res.json({ message: 'Bookmark removed' });
+  } catch (error) {
+    console.error('Remove bookmark error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to remove bookmark'
+    });
+  }
+});
+
+/**
+ * POST /api/library/progress/:articleId/open
+ * Record that the user opened a PDF (history) and return where to resume
+ */
+router.post(
+  '/progress/:articleId/open',
+  requireAuth,
+  loadVisibleArticle,
+  requireReadablePdf,
+  async (req, res) => {
+    try {
+      const totalPages = await getPageCount(req.article);
+      const record = await db.progress.save(req.userId, req.article.id, {
+        total_pages: totalPages,
+        last_opened_at: new Date()
+      });
+
+      res.json({ articleId: req.article.id, progress: toProgressView(record) });
+    } catch (error) {
+      console.error('Open article error:', error);
+      res.status(500).json({
+        error: 'Server Error',
+        message: 'Unable to record progress'
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/library/progress/:articleId
+ * Save the current page
+ * Body: { page }
+ */
+router.put(
+  '/progress/:articleId',
+  requireAuth,
+  loadVisibleArticle,
+  requireReadablePdf,
+  async (req, res) => {
+    try {
+      const totalPages = await getPageCount(req.article);
+      const page = req.body?.page;
+
+      if (!Number.isInteger(page) || page < 1 || page > totalPages) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `Page must be a whole number from 1 to ${totalPages}`
+        });
+      }
+
+      const record = await db.progress.save(req.userId, req.article.id, {
+        page,
+        total_pages: totalPages,
+        percent: Math.round((page / totalPages) * 100),
+        last_opened_at: new Date()
+      });
+
+      res.json({ articleId: req.article.id, progress: toProgressView(record) });
+    } catch (error) {
+      console.error('Save progress error:', error);
+      res.status(500).json({
+        error: 'Server Error',
+        message: 'Unable to record progress'
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/library/progress/:articleId
+ * Forget progress on an article (also removes it from history)
+ */
+router.delete('/progress/:articleId', requireAuth, async (req, res) => {
+  try {
+    const record = await db.progress.find(req.userId, req.params.articleId);
+    if (record) {
+      await db.progress.remove(record.id);
+    }
+
+    res.json({ message: 'Progress removed' });
+  } catch (error) {
+    console.error('Remove progress error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to remove progress'
+    });
+  }
+});
+
+export default router;
@@ -18,7 +18,7 @@ import crypto from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
 import { db } from '../models/user.js';
 import { getPlan, validatePlanPrice, getPublicPlans } from '../config/plans.js';
-import { requireAuth, requireSubscription } from '../middleware/auth.js';
+import { requireAuth, requireSubscription, requireVerifiedEmail } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -55,7 +55,7 @@ router.get('/plans', (req, res) => {
  * - Unique token prevents duplicate payments
  * - User must be authenticated
  */
-router.post('/create-checkout', requireAuth, async (req, res) => {
+router.post('/create-checkout', requireAuth, requireVerifiedEmail('checkout'), async (req, res) => {
   try {
     const { planId } = req.body;
 
@@ -0,0 +1,239 @@
+/**
+ * TWO-FACTOR AUTHENTICATION ROUTES
+ *
+ * Enrollment and management of TOTP 2FA for the signed-in user
+ * (the login step itself is POST /api/auth/login/2fa).
+ *
+ * FLOW:
+ * POST /setup   -> secret + otpauth:// URI (show as a QR code)
+ * POST /enable  -> { code } from the app; returns recovery codes once
+ * POST /disable / POST /recovery-codes -> re-authenticate first
+ *
+ * SECURITY:
+ * ✅ Session auth only (API keys are rejected by requireAuth)
+ * ✅ Enabling proves the app is set up (first code must match)
+ * ✅ Disabling or new recovery codes need the password and a current
+ *    code (or a recovery code)
+ * ✅ Every 2FA event audit-logged
+ */
+
+import express from 'express';
+import bcrypt from 'bcryptjs';
+import { requireAuth } from '../middleware/auth.js';
+import { db } from '../models/user.js';
+import {
+  checkSecondFactor,
+  decryptSecret,
+  encryptSecret,
+  generateRecoveryCodes,
+  generateTotpSecret,
+  getProvisioningUri,
+  isTwoFactorEnabled,
+  verifyTotp
+} from '../models/twoFactor.js';
+
+const router = express.Router();
+
+/**
+ * Load the signed-in user into req.user
+ */
+async function loadUser(req, res, next) {
+  try {
+    const user = await db.users.findById(req.userId);
+    if (!user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Please log in to continue'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * SECURITY: Re-authentication for sensitive 2FA changes
+ * Body: { password, code } or { password, recoveryCode }
+ */
+async function requireReauthentication(req, res, next) {
+  try {
+    const { password, code, recoveryCode } = req.body || {};
+    const fail = async (reason) => {
+      await db.audit.log(req.user.id, '2fa_reauth_failed', { reason, ip: req.ip });
+      return res.status(401).json({
+        error: 'Authentication Failed',
+        message: 'Invalid password or authentication code'
+      });
+    };
+
+    if (!isTwoFactorEnabled(req.user)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (typeof password !== 'string' || !(await bcrypt.compare(password, req.user.password_hash))) {
+      return await fail('password');
+    }
+
+    if ([code, recoveryCode].some(value => value !== undefined && typeof value !== 'string') ||
+        !(await checkSecondFactor(req.user, { code, recoveryCode }))) {
+      return await fail('code');
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/auth/2fa
+ * Two-factor status for the current user
+ */
+router.get('/', requireAuth, loadUser, (req, res) => {
+  res.json({
+    enabled: isTwoFactorEnabled(req.user),
+    enabledAt: req.user.totp_enabled_at || null,
+    recoveryCodesRemaining: isTwoFactorEnabled(req.user)
+      ? (req.user.recovery_code_hashes || []).length
+      : 0
+  });
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start enrollment: a new secret and its provisioning URI
+ * Calling it again replaces a pending (unconfirmed) secret
+ */
+router.post('/setup', requireAuth, loadUser, async (req, res) => {
+  try {
+    if (isTwoFactorEnabled(req.user)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateTotpSecret();
+    await db.users.updateTwoFactor(req.user.id, { totp_pending_secret: encryptSecret(secret) });
+    await db.audit.log(req.user.id, '2fa_setup_started', { ip: req.ip });
+
+    res.json({
+      secret,
+      otpauthUri: getProvisioningUri(secret, req.user.email)
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to start two-factor setup'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Confirm enrollment with a code from the app
+ * Body: { code }
+ * Returns recovery codes (shown once; only hashes are stored)
+ */
+router.post('/enable', requireAuth, loadUser, async (req, res) => {
+  try {
+    if (isTwoFactorEnabled(req.user)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+    if (!req.user.totp_pending_secret) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = verifyTotp(decryptSecret(req.user.totp_pending_secret), req.body?.code);
+    if (step === null) {
+      await db.audit.log(req.user.id, '2fa_enable_failed', { ip: req.ip });
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await db.users.updateTwoFactor(req.user.id, {
+      totp_secret: req.user.totp_pending_secret,
+      totp_pending_secret: null,
+      totp_enabled_at: new Date(),
+      totp_last_step: step,
+      recovery_code_hashes: hashes
+    });
+    await db.audit.log(req.user.id, '2fa_enabled', { ip: req.ip });
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to enable two-factor authentication'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn 2FA off
+ * Body: { password, code } or { password, recoveryCode }
+ */
+router.post('/disable', requireAuth, loadUser, requireReauthentication, async (req, res) => {
+  try {
+    await db.users.updateTwoFactor(req.user.id, {
+      totp_secret: null,
+      totp_pending_secret: null,
+      totp_enabled_at: null,
+      totp_last_step: null,
+      recovery_code_hashes: []
+    });
+    await db.audit.log(req.user.id, '2fa_disabled', { ip: req.ip });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to disable two-factor authentication'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace all recovery codes (old ones stop working)
+ * Body: { password, code } or { password, recoveryCode }
+ */
+router.post('/recovery-codes', requireAuth, loadUser, requireReauthentication, async (req, res) => {
+  try {
+    const { codes, hashes } = generateRecoveryCodes();
+    await db.users.updateTwoFactor(req.user.id, { recovery_code_hashes: hashes });
+    await db.audit.log(req.user.id, '2fa_recovery_codes_regenerated', { ip: req.ip });
+
+    res.json({ recoveryCodes: codes });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Unable to generate recovery codes'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,63 @@
+/**
+ * Lookup Benchmark
+ *
+ * Shows that indexed lookups (findBy/filterBy) stay flat as tables grow,
+ * while predicate scans (find/filter) grow linearly.
+ *
+ * Usage: npm run bench:lookups
+ */
+
+import { performance } from 'perf_hooks';
+import { createMemoryDriver } from '../models/storage/memory.js';
+import { migrate } from '../models/storage/migrations.js';
+
+const SIZES = [1_000, 10_000, 100_000];
+const LOOKUPS = 2_000;
+
+async function seed(size) {
+  const driver = createMemoryDriver();
+  await migrate(driver);
+
+  const subscriptions = driver.table('subscriptions');
+  for (let i = 0; i < size; i++) {
+    await subscriptions.insert({
+      id: `sub-${i}`,
+      user_id: `user-${i}`,
+      plan_id: 'starter',
+      stripe_subscription_id: `token-${i}`,
+      status: i % 10 === 0 ? 'cancelled' : 'active',
+      expires_at: new Date(Date.now() + 86400000)
+    });
+  }
+  return subscriptions;
+}
+
+async function time(label, fn) {
+  const start = performance.now();
+  for (let i = 0; i < LOOKUPS; i++) {
+    await fn(i);
+  }
+  const perLookup = ((performance.now() - start) * 1000) / LOOKUPS;
+  return `${label}: ${perLookup.toFixed(1)}µs`;
+}
+
+const previousEnv = process.env.NODE_ENV;
+process.env.NODE_ENV = 'test'; // Silence migration logs
+
+for (const size of SIZES) {
+  const subscriptions = await seed(size);
+  const pick = (i) => (i * 7919) % size;
+
+  const results = [
+    await time('indexed findBy(token)', (i) =>
+      subscriptions.findBy({ stripe_subscription_id: `token-${pick(i)}` })),
+    await time('indexed filterBy(user, status)', (i) =>
+      subscriptions.filterBy({ user_id: `user-${pick(i)}`, status: 'active' })),
+    await time('scan find(token)', (i) =>
+      subscriptions.find(sub => sub.stripe_subscription_id === `token-${pick(i)}`))
+  ];
+
+  console.log(`${size.toLocaleString().padStart(8)} rows | ${results.join(' | ')}`);
+}
+
+process.env.NODE_ENV = previousEnv;
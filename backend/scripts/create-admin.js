@@ -0,0 +1,66 @@
+/**
+ * Bootstrap the First Admin
+ *
+ * Promotes an existing account (sign up normally first) to the admin
+ * role. Further roles are managed through PUT /api/admin/users/:id/role.
+ *
+ * Refuses to run once an admin exists, unless --force is passed (e.g.
+ * to recover after the only admin lost access).
+ *
+ * Stop the server first: with the file driver both would write the same
+ * database, so the script refuses to run while the server holds it.
+ *
+ * Usage: npm run create-admin -- you@example.com [--force]
+ */
+
+import 'dotenv/config';
+import { getUserRole } from '../config/roles.js';
+
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const email = args.find(arg => !arg.startsWith('--'))?.trim().toLowerCase();
+
+if (!email) {
+  console.error('Usage: npm run create-admin -- <email> [--force]');
+  process.exit(1);
+}
+
+// Imported here so a locked database gets a readable message
+let db;
+try {
+  ({ db } = await import('../models/user.js'));
+} catch (error) {
+  if (error.code !== 'DATABASE_LOCKED') throw error;
+  console.error(`❌ ${error.message}.`);
+  console.error('   Stop the server, run this again, then start the server.');
+  process.exit(1);
+}
+
+const admins = await db.users.findByRole('admin');
+if (admins.length > 0 && !force) {
+  console.error(`❌ An admin already exists (${admins.map(admin => admin.email).join(', ')}).`);
+  console.error('   Change roles via the admin API, or pass --force.');
+  process.exit(1);
+}
+
+const user = await db.users.findByEmail(email);
+if (!user) {
+  console.error(`❌ No account for ${email}. Sign up first, then run this again.`);
+  process.exit(1);
+}
+
+const previousRole = getUserRole(user);
+if (previousRole === 'admin') {
+  console.log(`${email} is already an admin.`);
+  process.exit(0);
+}
+
+await db.users.updateRole(user.id, 'admin');
+await db.audit.log(user.id, 'role_changed', {
+  from: previousRole,
+  to: 'admin',
+  changedBy: 'create-admin script',
+  ip: 'cli'
+});
+
+console.log(`✅ ${email} is now an admin.`);
@@ -21,9 +21,19 @@ import cors from 'cors';
 import rateLimit from 'express-rate-limit';
 import 'dotenv/config';
 import authRoutes from './routes/auth.js';
+import twoFactorRoutes from './routes/twoFactor.js';
 import paymentRoutes from './routes/payment.js';
 import articlesRoutes from './routes/articles.js';
 import webhookRoutes from './routes/webhooks.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import feedRoutes from './routes/feeds.js';
+import libraryRoutes from './routes/library.js';
+import adminRoutes from './routes/admin.js';
+import { storage } from './models/storage/index.js';
+import { sessionStore } from './models/session.js';
+import { searchIndex } from './models/search.js';
+import { warmPreviews } from './models/preview.js';
+import { getArticles } from './models/article.js';
 
 // Validate required environment variables
 const requiredEnv = [
@@ -69,8 +79,17 @@ app.use(helmet({
 app.use(cors({
   origin: process.env.FRONTEND_URL,
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: [
+    'Content-Type',
+    'Authorization',
+    // Resumable / conditional downloads
+    'Range',
+    'If-Range',
+    'If-None-Match',
+    'If-Modified-Since'
+  ],
+  exposedHeaders: ['Content-Range', 'Accept-Ranges', 'ETag', 'Content-Disposition'],
   maxAge: 3600
 }));
 
@@ -82,7 +101,9 @@ app.use(express.json({ limit: '10kb' })); // Limit payload size
 
 // SESSION MANAGEMENT
 // SECURITY: Using httpOnly cookies, not localStorage tokens
+// Sessions persist in the storage layer and are indexed by user for revocation
 app.use(session({
+  store: sessionStore,
   secret: process.env.SESSION_SECRET,
   resave: false,
   saveUninitialized: false,
@@ -112,10 +133,37 @@ const apiLimiter = rateLimit({
   skip: (req) => process.env.NODE_ENV === 'development'
 });
 
+// Free PDF previews are anonymous and render on first request
+const previewLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 min
+  max: parseInt(process.env.PREVIEW_RATE_LIMIT_MAX || 30),
+  message: 'Too many preview requests, please try again later',
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req) => process.env.NODE_ENV === 'development'
+});
+
+// Verification emails can be requested without logging in
+const verificationResendLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: parseInt(process.env.VERIFICATION_RESEND_RATE_LIMIT_MAX || 5),
+  message: 'Too many verification emails requested, please try again later',
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req) => process.env.NODE_ENV === 'development'
+});
+
 // ROUTES
+app.use('/api/auth/verify-email/resend', verificationResendLimiter);
+app.use('/api/auth/2fa', authLimiter, twoFactorRoutes);
 app.use('/api/auth', authLimiter, authRoutes);
+app.use('/api/articles/:id/preview', previewLimiter);
 app.use('/api/articles', apiLimiter, articlesRoutes);
 app.use('/api/payment', apiLimiter, paymentRoutes);
+app.use('/api/keys', apiLimiter, apiKeyRoutes);
+app.use('/api/library', apiLimiter, libraryRoutes);
+app.use('/api/admin', apiLimiter, adminRoutes);
+app.use('/feeds', apiLimiter, feedRoutes);
 
 // HEALTH CHECK
 app.get('/api/health', (req, res) => {
@@ -159,20 +207,27 @@ const server = app.listen(PORT, () => {
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 ✅ Server running on http://localhost:${PORT}
 ✅ Environment: ${process.env.NODE_ENV || 'development'}
+✅ Storage driver: ${storage.name}
 ✅ CORS enabled for: ${process.env.FRONTEND_URL}
 ✅ Helmet security headers active
-✅ Session-based auth (httpOnly cookies)
+✅ Session-based auth (httpOnly cookies, persistent store)
 ✅ Rate limiting enabled
 ✅ Stripe webhooks ready
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
   `);
+
+  // Warm the search index in the background (PDF text extraction is slow)
+  searchIndex.refresh().catch(error => console.error('Search index error:', error));
+  warmPreviews(getArticles());
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM signal received: closing HTTP server');
-  server.close(() => {
+  server.close(async () => {
     console.log('HTTP server closed');
+    await storage.close();
+    console.log('Storage flushed');
   });
 });
 
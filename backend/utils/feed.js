@@ -0,0 +1,113 @@
+/**
+ * Feed Rendering
+ *
+ * Renders one feed description as RSS 2.0, Atom 1.0 or JSON Feed 1.1.
+ *
+ * FEED:
+ * { title, description, homeUrl, feedUrl, updated: Date,
+ *   items: [{ id, title, summary, url, date: Date,
+ *             enclosure?: { url, type, length } }] }
+ *
+ * All URLs must be absolute.
+ */
+
+export const FEED_FORMATS = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+};
+
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+  }[char]));
+}
+
+function renderRss(feed) {
+  const items = feed.items.map(item => `
+    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="false">${escapeXml(item.id)}</guid>
+      <description>${escapeXml(item.summary)}</description>
+      <pubDate>${item.date.toUTCString()}</pubDate>${item.enclosure ? `
+      <enclosure url="${escapeXml(item.enclosure.url)}" type="${escapeXml(item.enclosure.type)}" length="${item.enclosure.length || 0}"/>` : ''}
+    </item>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homeUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>${items}
+  </channel>
+</rss>
+`;
+}
+
+function renderAtom(feed) {
+  const entries = feed.items.map(item => `
+  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <id>${escapeXml(item.id)}</id>
+    <link href="${escapeXml(item.url)}"/>
+    <updated>${item.date.toISOString()}</updated>
+    <summary>${escapeXml(item.summary)}</summary>${item.enclosure ? `
+    <link rel="enclosure" href="${escapeXml(item.enclosure.url)}" type="${escapeXml(item.enclosure.type)}" length="${item.enclosure.length || 0}"/>` : ''}
+  </entry>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <id>${escapeXml(feed.homeUrl)}</id>
+  <link href="${escapeXml(feed.homeUrl)}"/>
+  <link rel="self" href="${escapeXml(feed.feedUrl)}"/>
+  <updated>${feed.updated.toISOString()}</updated>
+  <author><name>${escapeXml(feed.title)}</name></author>${entries}
+</feed>
+`;
+}
+
+function renderJsonFeed(feed) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.feedUrl,
+    items: feed.items.map(item => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      content_text: item.summary,
+      date_published: item.date.toISOString(),
+      ...(item.enclosure && {
+        attachments: [{
+          url: item.enclosure.url,
+          mime_type: item.enclosure.type,
+          size_in_bytes: item.enclosure.length || undefined
+        }]
+      })
+    }))
+  }, null, 2);
+}
+
+/**
+ * @param {'rss'|'atom'|'json'} format
+ * @param {Object} feed - See FEED above
+ * @returns {string}
+ */
+export function renderFeed(format, feed) {
+  switch (format) {
+    case 'rss': return renderRss(feed);
+    case 'atom': return renderAtom(feed);
+    case 'json': return renderJsonFeed(feed);
+    default: throw new Error(`Unknown feed format: ${format}`);
+  }
+}
+
+export default renderFeed;
@@ -0,0 +1,200 @@
+/**
+ * Protected File Responses
+ *
+ * Serves files with HTTP caching and partial content support:
+ * ✅ Strong ETags (SHA-256 of file contents, cached per path/mtime/size)
+ * ✅ If-None-Match / If-Modified-Since → 304 Not Modified
+ * ✅ Range → 206 Partial Content (single range), 416 when unsatisfiable
+ * ✅ If-Range → range honored only if the file hasn't changed
+ *
+ * SECURITY: This only handles the HTTP mechanics. Callers must run
+ * auth, subscription and entitlement checks BEFORE calling sendFile.
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+
+// filePath -> { mtimeMs, size, etag }
+const etagCache = new Map();
+
+/**
+ * Strong ETag for a file (content hash, recomputed only when it changes)
+ * @param {string} filePath
+ * @param {fs.Stats} stat
+ * @returns {Promise<string>} Quoted ETag
+ */
+export async function getFileEtag(filePath, stat) {
+  const cached = etagCache.get(filePath);
+  if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+    return cached.etag;
+  }
+
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+
+  const etag = `"${hash.digest('base64url')}"`;
+  etagCache.set(filePath, { mtimeMs: stat.mtimeMs, size: stat.size, etag });
+  return etag;
+}
+
+/**
+ * Parse a Range header for a single byte range
+ * @param {string} header - e.g. "bytes=0-1023", "bytes=-500", "bytes=1024-"
+ * @param {number} size - File size in bytes
+ * @returns {{ start: number, end: number } | 'unsatisfiable' | null}
+ *   null means "ignore the header and send the whole file"
+ */
+export function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match) return null; // Multi-range or malformed: full response is allowed
+
+  const [, startText, endText] = match;
+  if (startText === '' && endText === '') return null;
+
+  let start;
+  let end;
+  if (startText === '') {
+    // Suffix range: last N bytes
+    const length = parseInt(endText, 10);
+    if (length === 0) return 'unsatisfiable';
+    start = Math.max(0, size - length);
+    end = size - 1;
+  } else {
+    start = parseInt(startText, 10);
+    end = endText === '' ? size - 1 : Math.min(parseInt(endText, 10), size - 1);
+  }
+
+  if (start >= size || start > end) return 'unsatisfiable';
+  return { start, end };
+}
+
+function etagMatches(header, etag) {
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+  return header.split(',').some(tag => tag.trim() === etag);
+}
+
+function notModifiedSince(header, mtime) {
+  if (!header) return false;
+  const since = Date.parse(header);
+  // HTTP dates have second precision
+  return !Number.isNaN(since) && Math.floor(mtime.getTime() / 1000) * 1000 <= since;
+}
+
+/**
+ * Conditional GET check (If-None-Match wins over If-Modified-Since)
+ * @param {Object} req
+ * @param {Object} validators - { etag, lastModified: Date }
+ * @returns {boolean} true if the client's copy is current (send 304)
+ */
+export function isNotModified(req, { etag, lastModified }) {
+  const ifNoneMatch = req.get('if-none-match');
+  return ifNoneMatch
+    ? etagMatches(ifNoneMatch, etag)
+    : notModifiedSince(req.get('if-modified-since'), lastModified);
+}
+
+/**
+ * Decide how to answer a request for a file without sending anything
+ * @returns {{ status: 200 | 206 | 304 | 416, range?: { start, end } }}
+ */
+export function evaluateFileRequest(req, { etag, stat }) {
+  if (isNotModified(req, { etag, lastModified: stat.mtime })) {
+    return { status: 304 };
+  }
+
+  const rangeHeader = req.get('range');
+  if (!rangeHeader) return { status: 200 };
+
+  // If-Range: only honor the range if the client's copy is current
+  const ifRange = req.get('if-range');
+  if (ifRange) {
+    const current = ifRange.startsWith('"') || ifRange.startsWith('W/')
+      ? ifRange === etag // Strong comparison; weak tags never match
+      : notModifiedSince(ifRange, stat.mtime);
+    if (!current) return { status: 200 };
+  }
+
+  const range = parseRange(rangeHeader, stat.size);
+  if (range === null) return { status: 200 };
+  if (range === 'unsatisfiable') return { status: 416 };
+  return { status: 206, range };
+}
+
+/**
+ * Send a file, honoring a decision from evaluateFileRequest
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} options
+ * @param {string} options.filePath
+ * @param {fs.Stats} options.stat
+ * @param {string} options.etag
+ * @param {Object} options.decision - From evaluateFileRequest
+ * @param {string} options.contentType
+ * @param {string} options.fileName - Suggested name for Content-Disposition
+ * @param {'attachment'|'inline'} [options.disposition]
+ */
+export function sendFile(req, res, {
+  filePath,
+  stat,
+  etag,
+  decision,
+  contentType,
+  fileName,
+  disposition = 'attachment'
+}) {
+  res.setHeader('ETag', etag);
+  res.setHeader('Last-Modified', stat.mtime.toUTCString());
+  res.setHeader('Accept-Ranges', 'bytes');
+  // Protected content: browser may cache but must revalidate (auth re-checked)
+  res.setHeader('Cache-Control', 'private, no-cache');
+
+  if (decision.status === 304) {
+    return res.status(304).end();
+  }
+
+  if (decision.status === 416) {
+    res.setHeader('Content-Range', `bytes */${stat.size}`);
+    return res.status(416).json({
+      error: 'Range Not Satisfiable',
+      message: 'Requested range is outside the file'
+    });
+  }
+
+  const { start, end } = decision.range || { start: 0, end: stat.size - 1 };
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `${disposition}; filename="${fileName}"`);
+  res.setHeader('Content-Length', end - start + 1);
+  if (decision.status === 206) {
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${stat.size}`);
+  }
+  res.status(decision.status);
+
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+
+  const stream = fs.createReadStream(filePath, { start, end });
+  stream.pipe(res);
+
+  // Client went away: release the file handle
+  res.on('close', () => stream.destroy());
+
+  stream.on('error', (error) => {
+    console.error('Stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Server Error',
+        message: 'Unable to download file'
+      });
+    } else {
+      res.destroy(error);
+    }
+  });
+}
+
+export default sendFile;
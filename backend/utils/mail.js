@@ -0,0 +1,120 @@
+/**
+ * Outgoing Email
+ *
+ * Routes call sendMail() and never talk to a transport directly, so
+ * delivery is a MAIL_TRANSPORT change:
+ * - outbox (default): writes each message as an .eml file to
+ *   MAIL_OUTBOX_DIR (default data/outbox); works offline, open the
+ *   files with any mail client or text editor
+ * - smtp: delivers through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+ * - console: logs messages (throwaway dev runs)
+ *
+ * Other transports plug in via TRANSPORTS or setMailTransport().
+ * A transport is { name, send({ from, to, subject, text }) }.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import nodemailer from 'nodemailer';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '../data/outbox');
+
+function createOutboxTransport() {
+  const dir = process.env.MAIL_OUTBOX_DIR
+    ? path.resolve(process.env.MAIL_OUTBOX_DIR)
+    : DEFAULT_OUTBOX_DIR;
+
+  return {
+    name: 'outbox',
+    async send({ from, to, subject, text }) {
+      const date = new Date();
+      const name = `${date.toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+      const message = [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${subject}`,
+        `Date: ${date.toUTCString()}`,
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        text
+      ].join('\r\n');
+
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, name), message, { mode: 0o600 });
+    }
+  };
+}
+
+function createSmtpTransport() {
+  const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      await transporter.sendMail(message);
+    }
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send({ to, subject, text }) {
+      console.log(`📧 To: ${to}\n   Subject: ${subject}\n\n${text}\n`);
+    }
+  };
+}
+
+export const TRANSPORTS = {
+  outbox: createOutboxTransport,
+  smtp: createSmtpTransport,
+  console: createConsoleTransport
+};
+
+let transport = null;
+
+/**
+ * Replace the active transport (custom providers, tests)
+ * @param {Object} customTransport - { name, send(message) }
+ */
+export function setMailTransport(customTransport) {
+  transport = customTransport;
+}
+
+function getTransport() {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'outbox';
+    const createTransport = TRANSPORTS[name];
+    if (!createTransport) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = createTransport();
+  }
+  return transport;
+}
+
+/**
+ * Send a plain-text email
+ * @param {Object} message
+ * @param {string} message.to
+ * @param {string} message.subject
+ * @param {string} message.text
+ * @returns {Promise<void>}
+ */
+export async function sendMail({ to, subject, text }) {
+  const from = process.env.MAIL_FROM || 'Berlin-Benz <no-reply@berlin-benz.local>';
+  await getTransport().send({ from, to, subject, text });
+}
+
+export default sendMail;
@@ -0,0 +1,57 @@
+/**
+ * PDF Text Extraction
+ *
+ * Pulls plain text (and page counts) out of a PDF using pdf.js
+ * (pure JS, no native binaries). Runs with eval and font loading
+ * disabled since we only need the text layer.
+ */
+
+import fs from 'fs/promises';
+import { getDocument, VerbosityLevel } from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+async function openPdf(filePath) {
+  const data = new Uint8Array(await fs.readFile(filePath));
+  return getDocument({
+    data,
+    isEvalSupported: false,
+    disableFontFace: true,
+    useSystemFonts: false,
+    verbosity: VerbosityLevel.ERRORS
+  }).promise;
+}
+
+/**
+ * @param {string} filePath
+ * @returns {Promise<string>} Text of all pages, pages separated by newlines
+ */
+export async function extractPdfText(filePath) {
+  const pdf = await openPdf(filePath);
+
+  try {
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      pages.push(content.items.map(item => item.str).join(' '));
+      page.cleanup();
+    }
+    return pages.join('\n');
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * @param {string} filePath
+ * @returns {Promise<number>}
+ */
+export async function countPdfPages(filePath) {
+  const pdf = await openPdf(filePath);
+  try {
+    return pdf.numPages;
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+export default extractPdfText;
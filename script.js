@@ -1,102 +1,309 @@
-const articlesData = [
-  {
-    type: "image",
-    title: "Red Article",
-    content: "This article highlights the color red.",
-    image: "images/red.png"
-  },
-  {
-    type: "pdf",
-    title: "Health and Wellness",
-    content: "Downloadable article in PDF format.",
-    pdf: "pdfs/Health and Wellness_compressed.pdf"
-  },
-  {
-    type: "text",
-    title: "Plain Text Article",
-    content: "This is a simple text-only article with no attachments."
+// Article catalog comes from the backend (single source of truth)
+const ARTICLES_API = typeof API_BASE_URL !== 'undefined' ? API_BASE_URL : 'http://localhost:5000/api';
+const BACKEND_ORIGIN = ARTICLES_API.replace(/\/api$/, '');
+
+let articlesData = [];
+let nextCursor = null;
+let currentTag = null;
+
+// Loads one page; pass the previous nextCursor to append the next page
+async function loadArticles({ tag = null, cursor = null } = {}) {
+  const params = new URLSearchParams({ sort: 'newest' });
+  if (tag) params.set('tag', tag);
+  if (cursor) params.set('cursor', cursor);
+
+  const response = await fetch(`${ARTICLES_API}/articles/public?${params}`, { credentials: 'include' });
+  if (!response.ok) {
+    throw new Error(`Unable to load articles (${response.status})`);
+  }
+  const data = await response.json();
+  articlesData = cursor ? articlesData.concat(data.articles) : data.articles;
+  nextCursor = data.nextCursor;
+  return data;
+}
+
+// Reading library (bookmarks + progress); empty for visitors
+const library = { signedIn: false, bookmarks: new Set(), progress: new Map() };
+
+async function loadLibrary() {
+  const response = await fetch(`${ARTICLES_API}/library`, { credentials: 'include' });
+  if (!response.ok) return; // Not signed in: no bookmarks or progress
+
+  const data = await response.json();
+  library.signedIn = true;
+  library.bookmarks = new Set(data.bookmarks.map(entry => entry.article.id));
+  library.progress = new Map(data.history.map(entry => [entry.article.id, entry.progress]));
+}
+
+async function toggleBookmark(articleId) {
+  const bookmarked = library.bookmarks.has(articleId);
+  const response = await fetch(`${ARTICLES_API}/library/bookmarks/${encodeURIComponent(articleId)}`, {
+    method: bookmarked ? 'DELETE' : 'PUT',
+    credentials: 'include'
+  });
+  if (!response.ok) return;
+
+  if (bookmarked) library.bookmarks.delete(articleId);
+  else library.bookmarks.add(articleId);
+}
+
+async function saveProgress(articleId, page) {
+  const response = await fetch(`${ARTICLES_API}/library/progress/${encodeURIComponent(articleId)}`, {
+    method: 'PUT',
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ page })
+  });
+  if (!response.ok) return null;
+
+  const data = await response.json();
+  library.progress.set(articleId, data.progress);
+  return data.progress;
+}
+
+// Premium files are served by the backend's protected routes
+// Article fields come from the authoring API; never insert them as HTML
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+function articleUrl(article) {
+  return article.url.startsWith('/api/') ? `${BACKEND_ORIGIN}${article.url}` : article.url;
+}
+
+// Premium files are opened through short-lived signed links
+async function requestSignedLink(articleId, disposition) {
+  const response = await fetch(`${ARTICLES_API}/articles/${encodeURIComponent(articleId)}/link`, {
+    method: 'POST',
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ disposition })
+  });
+  const data = await response.json();
+
+  if (response.status === 401) {
+    window.location.href = 'login.html';
+    return null;
+  }
+  if (!response.ok) {
+    if (confirm(`${data.message || 'This article is not included in your plan.'}\n\nView plans?`)) {
+      window.location.href = 'pricing.html';
+    }
+    return null;
   }
-];
+  return `${BACKEND_ORIGIN}${data.url}`;
+}
 
 const articlesContainer = document.getElementById('articles');
 const exploreBtn = document.getElementById('explore-btn');
-const filterButtons = document.querySelectorAll('.filter-btn');
 const filterContainer = document.getElementById('filter-buttons');
 
 let articlesRendered = false;
 
-function renderArticles(filter = 'all') {
+// Filter buttons come from the tags the API returns
+function renderFilterButtons(tags) {
+  filterContainer.innerHTML = '';
+
+  [{ name: null, label: 'All' }, ...tags.map(tag => ({ name: tag.name, label: tag.name }))]
+    .forEach(({ name, label }) => {
+      const btn = document.createElement('button');
+      btn.classList.add('filter-btn');
+      btn.classList.toggle('active', name === currentTag);
+      btn.textContent = label;
+
+      btn.addEventListener('click', async () => {
+        filterContainer.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+        currentTag = name;
+
+        try {
+          await loadArticles({ tag: currentTag });
+          renderArticles();
+        } catch (error) {
+          console.error('Articles error:', error);
+        }
+      });
+
+      filterContainer.appendChild(btn);
+    });
+}
+
+function renderArticles() {
   articlesContainer.innerHTML = ''; // Clear existing articles
-  
-  const filteredArticles = filter === 'all' 
-    ? articlesData 
-    : articlesData.filter(article => article.type === filter);
 
-  filteredArticles.forEach((article, index) => {
+  articlesData.forEach((article, index) => {
     const div = document.createElement('div');
     div.classList.add('article', 'fade-in');
+    div.id = article.slug; // Feed items link to index.html#<slug>
     div.style.animationDelay = `${index * 0.2}s`; // stagger
 
-    let innerHTML = `<h2>${article.title}</h2>
-                     <p>${article.content}</p>`;
+    let innerHTML = `<h2>${escapeHtml(article.title)}</h2>
+                     <p>${escapeHtml(article.preview)}</p>`;
 
-    if (article.type === "image" && article.image) {
-      innerHTML += `<img src="${article.image}" alt="${article.title}" style="max-width:100%; margin-top:1rem; border-radius:6px;">`;
+    if (library.signedIn) {
+      const bookmarked = library.bookmarks.has(article.id);
+      innerHTML += `<button class="bookmark-btn" data-article-id="${escapeHtml(article.id)}">${bookmarked ? '★ Bookmarked' : '☆ Bookmark'}</button>`;
     }
 
-    if (article.type === "pdf" && article.pdf) {
-        innerHTML += `<button class="cta-btn open-pdf-btn" data-pdf="${article.pdf}" style="margin-top:1rem;">View PDF</button>`;
-        innerHTML += `<a href="${article.pdf}" target="_blank" download style="display:block; margin-top:1rem; color:#0066cc;">Download PDF</a>`;
+    const progress = library.progress.get(article.id);
+    if (progress && progress.percent > 0) {
+      innerHTML += `<div class="progress-bar" title="Page ${progress.page} of ${progress.totalPages}"><span style="width:${progress.percent}%"></span></div>
+                    <small>${progress.percent}% read · page ${progress.page} of ${progress.totalPages}</small>`;
+    }
+
+    if (article.earlyAccess) {
+      const releaseDate = new Date(article.publishAt).toLocaleDateString();
+      innerHTML += `<p style="color:#b8860b; font-weight:bold;">Early access · public on ${releaseDate}</p>`;
+    }
+
+    if (article.type === "image" && article.url) {
+      innerHTML += `<img src="${escapeHtml(articleUrl(article))}" alt="${escapeHtml(article.title)}" style="max-width:100%; margin-top:1rem; border-radius:6px;">`;
+    }
+
+    if (article.type === "pdf" && article.url && article.requiresSubscription) {
+        if (article.previewUrl) {
+          innerHTML += `<button class="cta-btn preview-pdf-btn" data-preview="${escapeHtml(BACKEND_ORIGIN + article.previewUrl)}" style="margin-top:1rem; margin-right:0.5rem;">Read Free Preview</button>`;
+        }
+        const resuming = progress && progress.percent > 0 && progress.percent < 100;
+        innerHTML += `<button class="cta-btn open-pdf-btn" data-article-id="${escapeHtml(article.id)}" style="margin-top:1rem;">${resuming ? 'Continue Reading' : 'View PDF'}</button>`;
+        innerHTML += `<a href="#" class="download-pdf-link" data-article-id="${escapeHtml(article.id)}" style="display:block; margin-top:1rem; color:#0066cc;">Download PDF</a>`;
+    } else if (article.type === "pdf" && article.url) {
+        const pdfUrl = escapeHtml(articleUrl(article));
+        innerHTML += `<button class="cta-btn open-pdf-btn" data-pdf="${pdfUrl}" style="margin-top:1rem;">View PDF</button>`;
+        innerHTML += `<a href="${pdfUrl}" target="_blank" download style="display:block; margin-top:1rem; color:#0066cc;">Download PDF</a>`;
+    }
+
+    if (article.requiresSubscription) {
+      innerHTML += `<a href="pricing.html" style="display:block; margin-top:1rem; color:#0066cc;">Requires ${escapeHtml(article.tier)} plan</a>`;
     }
 
     div.innerHTML = innerHTML;
     articlesContainer.appendChild(div);
   });
 
+  if (nextCursor) {
+    const loadMoreBtn = document.createElement('button');
+    loadMoreBtn.classList.add('cta-btn', 'load-more-btn');
+    loadMoreBtn.textContent = 'Load More';
+    loadMoreBtn.addEventListener('click', async () => {
+      loadMoreBtn.disabled = true;
+      try {
+        await loadArticles({ tag: currentTag, cursor: nextCursor });
+        renderArticles();
+      } catch (error) {
+        console.error('Articles error:', error);
+        loadMoreBtn.disabled = false;
+      }
+    });
+    articlesContainer.appendChild(loadMoreBtn);
+  }
+
   // Re-attach event listeners for PDF buttons
   document.querySelectorAll('.open-pdf-btn').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      const articleId = e.target.getAttribute('data-article-id');
+      const pdfUrl = articleId
+        ? await requestSignedLink(articleId, 'inline')
+        : e.target.getAttribute('data-pdf');
+      if (pdfUrl) openPdfModal(pdfUrl, { articleId });
+    });
+  });
+
+  document.querySelectorAll('.bookmark-btn').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      await toggleBookmark(e.target.getAttribute('data-article-id'));
+      renderArticles();
+    });
+  });
+
+  // Free previews show an upsell to pricing.html in the modal
+  document.querySelectorAll('.preview-pdf-btn').forEach(btn => {
     btn.addEventListener('click', (e) => {
-      const pdfUrl = e.target.getAttribute('data-pdf');
-      openPdfModal(pdfUrl);
+      openPdfModal(e.target.getAttribute('data-preview'), { preview: true });
+    });
+  });
+
+  document.querySelectorAll('.download-pdf-link').forEach(link => {
+    link.addEventListener('click', async (e) => {
+      e.preventDefault();
+      const downloadUrl = await requestSignedLink(e.target.getAttribute('data-article-id'), 'attachment');
+      if (downloadUrl) window.location.href = downloadUrl;
     });
   });
 }
 
-exploreBtn.addEventListener('click', () => {
+exploreBtn.addEventListener('click', async () => {
   articlesContainer.classList.remove('hidden');
   filterContainer.classList.remove('hidden');
   exploreBtn.classList.add('hidden'); // Hide explore button after clicking
 
   if (!articlesRendered) {
-    renderArticles();
-    articlesRendered = true;
+    try {
+      const [data] = await Promise.all([loadArticles(), loadLibrary()]);
+      renderFilterButtons(data.tags);
+      renderArticles();
+      articlesRendered = true;
+    } catch (error) {
+      console.error('Articles error:', error);
+      articlesContainer.innerHTML = '<p>Unable to load articles. Please try again later.</p>';
+      exploreBtn.classList.remove('hidden');
+    }
   }
 });
 
-// Filter functionality
-filterButtons.forEach(btn => {
-  btn.addEventListener('click', () => {
-    // Remove active class from all buttons
-    filterButtons.forEach(b => b.classList.remove('active'));
-    // Add active class to clicked button
-    btn.classList.add('active');
-    
-    const filter = btn.getAttribute('data-filter');
-    renderArticles(filter);
-  });
-});
-
 // PDF Modal functionality
 const modal = document.getElementById('pdf-modal');
 const modalEmbed = document.getElementById('pdf-modal-embed');
+const modalUpsell = document.getElementById('pdf-modal-upsell');
+const modalProgress = document.getElementById('pdf-modal-progress');
+const modalPage = document.getElementById('pdf-modal-page');
+const modalPages = document.getElementById('pdf-modal-pages');
+const modalSave = document.getElementById('pdf-modal-save');
 const closeBtn = document.querySelector('.modal-close');
 
-function openPdfModal(pdfUrl) {
-  modalEmbed.src = pdfUrl;
+let modalArticleId = null;
+
+// Records the open (history) and returns the saved progress, if any
+async function openArticleProgress(articleId) {
+  const response = await fetch(`${ARTICLES_API}/library/progress/${encodeURIComponent(articleId)}/open`, {
+    method: 'POST',
+    credentials: 'include'
+  });
+  if (!response.ok) return null;
+
+  const data = await response.json();
+  library.progress.set(articleId, data.progress);
+  return data.progress;
+}
+
+async function openPdfModal(pdfUrl, { preview = false, articleId = null } = {}) {
+  const progress = articleId && library.signedIn ? await openArticleProgress(articleId) : null;
+  modalArticleId = progress ? articleId : null;
+
+  // Browsers' PDF viewers honor #page=N: resume at the saved page
+  modalEmbed.src = progress && progress.page > 1 ? `${pdfUrl}#page=${progress.page}` : pdfUrl;
+  modalUpsell.classList.toggle('hidden', !preview);
+  modalProgress.classList.toggle('hidden', !progress);
+  if (progress) {
+    modalPage.value = progress.page;
+    modalPage.max = progress.totalPages;
+    modalPages.textContent = progress.totalPages;
+  }
+
   modal.classList.remove('hidden');
   modal.style.display = 'flex'; // Ensure flex display for centering
 }
 
+modalSave.addEventListener('click', async () => {
+  if (!modalArticleId) return;
+  const saved = await saveProgress(modalArticleId, parseInt(modalPage.value, 10));
+  modalSave.textContent = saved ? 'Saved ✓' : 'Invalid page';
+  setTimeout(() => { modalSave.textContent = 'Save My Place'; }, 1500);
+  if (saved) renderArticles();
+});
+
 closeBtn.addEventListener('click', () => {
   modal.classList.add('hidden');
   modal.style.display = 'none';